@@ -40,8 +40,10 @@ function vwg_enqueue_css_js( $hook ) {
         // CSS
         wp_enqueue_style('vwg_fontawesome_admin', VWG_VIDEO_WOO_GALLERY_URL . 'includes/fontawesome_v6-6-0/css/all.css', '', VWG_VERSION_NUM);
         wp_enqueue_style('vwg-admin-pricing-css', VWG_VIDEO_WOO_GALLERY_URL . 'includes/css/admin/pricing-modal.css', '', VWG_VERSION_NUM);
+        wp_enqueue_style('wp-color-picker');
 
         // JS
+        wp_enqueue_script('wp-color-picker');
         wp_enqueue_script('videojs', VWG_VIDEO_WOO_GALLERY_URL . 'includes/video-js/video-js.min.js', array('jquery'), VWG_VERSION_NUM, true);
         wp_enqueue_script( 'sweetalert2', VWG_VIDEO_WOO_GALLERY_URL . 'includes/sweetalert2/sweetalert2.all.min.js', __FILE__ );
         wp_enqueue_script('vwg-pricing', VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-pricing.js', array('jquery'), false, true);
@@ -111,6 +113,20 @@ function vwg_save_settings() {
         $autoplay = isset($_POST['vwg_settings_autoplay']) ? 'autoplay' : '';
         $showFirst = isset($_POST['vwg_settings_show_first']) ? sanitize_text_field($_POST['vwg_settings_show_first']) : '';
         $videoAdaptSizes = isset($_POST['vwg_settings_video_adapt_sizes']) ? sanitize_text_field($_POST['vwg_settings_video_adapt_sizes']) : '';
+        $lazyLoad = isset($_POST['vwg_settings_lazy_load']) ? sanitize_text_field($_POST['vwg_settings_lazy_load']) : '';
+        $youtubeNocookie = isset($_POST['vwg_settings_youtube_nocookie']) ? sanitize_text_field($_POST['vwg_settings_youtube_nocookie']) : '';
+        $embedConsent = isset($_POST['vwg_settings_embed_consent']) ? sanitize_text_field($_POST['vwg_settings_embed_consent']) : '';
+        $consentCookie = isset($_POST['vwg_settings_consent_cookie']) ? sanitize_text_field(wp_unslash($_POST['vwg_settings_consent_cookie'])) : '';
+        $consentCallback = isset($_POST['vwg_settings_consent_callback']) ? preg_replace('/[^A-Za-z0-9_$.]/', '', wp_unslash($_POST['vwg_settings_consent_callback'])) : '';
+        $miniPlayer = isset($_POST['vwg_settings_mini_player']) ? sanitize_text_field($_POST['vwg_settings_mini_player']) : '';
+        $endScreen = isset($_POST['vwg_settings_end_screen']) ? sanitize_text_field($_POST['vwg_settings_end_screen']) : '';
+        $endScreenCart = isset($_POST['vwg_settings_end_screen_cart']) ? sanitize_text_field($_POST['vwg_settings_end_screen_cart']) : '';
+        $playlist = isset($_POST['vwg_settings_playlist']) ? sanitize_text_field($_POST['vwg_settings_playlist']) : '';
+        $playlistSkipImages = isset($_POST['vwg_settings_playlist_skip_images']) ? sanitize_text_field($_POST['vwg_settings_playlist_skip_images']) : '';
+        $loopPreview = isset($_POST['vwg_settings_loop_preview']) ? sanitize_text_field($_POST['vwg_settings_loop_preview']) : '';
+        $limitReducedMotion = isset($_POST['vwg_settings_limit_reduced_motion']) ? sanitize_text_field($_POST['vwg_settings_limit_reduced_motion']) : '';
+        $limitSaveData = isset($_POST['vwg_settings_limit_save_data']) ? sanitize_text_field($_POST['vwg_settings_limit_save_data']) : '';
+        $limitSlowConnection = isset($_POST['vwg_settings_limit_slow_connection']) ? sanitize_text_field($_POST['vwg_settings_limit_slow_connection']) : '';
 
         $settings = array(
             'vwg_settings_icon' => $icon,
@@ -121,6 +137,20 @@ function vwg_save_settings() {
             'vwg_settings_autoplay' => $autoplay,
             'vwg_settings_show_first' => $showFirst,
             'vwg_settings_video_adapt_sizes' => $videoAdaptSizes,
+            'vwg_settings_lazy_load' => $lazyLoad,
+            'vwg_settings_youtube_nocookie' => $youtubeNocookie,
+            'vwg_settings_embed_consent' => $embedConsent,
+            'vwg_settings_consent_cookie' => $consentCookie,
+            'vwg_settings_consent_callback' => $consentCallback,
+            'vwg_settings_mini_player' => $miniPlayer,
+            'vwg_settings_end_screen' => $endScreen,
+            'vwg_settings_end_screen_cart' => $endScreenCart,
+            'vwg_settings_playlist' => $playlist,
+            'vwg_settings_playlist_skip_images' => $playlistSkipImages,
+            'vwg_settings_loop_preview' => $loopPreview,
+            'vwg_settings_limit_reduced_motion' => $limitReducedMotion,
+            'vwg_settings_limit_save_data' => $limitSaveData,
+            'vwg_settings_limit_slow_connection' => $limitSlowConnection,
         );
 
         update_option('vwg_settings_group', $settings);
@@ -489,6 +519,118 @@ function vwg_register_settings() {
         'vwg_settings_section'
     );
 
+    add_settings_field(
+        'vwg_settings_lazy_load',
+        __( 'Load videos only when their slide is shown', 'video-wc-gallery' ) . wc_help_tip(__('Videos show their poster until the slide is active and the gallery is on screen, instead of downloading on page load', 'video-wc-gallery')),
+        'vwg_settings_lazy_load_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_youtube_nocookie',
+        __( 'Use privacy-enhanced YouTube mode', 'video-wc-gallery' ) . wc_help_tip(__('Embeds YouTube videos from youtube-nocookie.com, which does not store cookies until the visitor plays the video', 'video-wc-gallery')),
+        'vwg_settings_youtube_nocookie_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_embed_consent',
+        __( 'Ask before loading hosted videos', 'video-wc-gallery' ) . wc_help_tip(__('YouTube, Vimeo, Wistia and Dailymotion videos show a poster with a play button. The player is loaded only after the visitor clicks it or after consent is given', 'video-wc-gallery')),
+        'vwg_settings_embed_consent_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_consent_cookie',
+        __( 'Consent cookie name', 'video-wc-gallery' ) . wc_help_tip(__('Hosted videos load right away when this cookie is set, e.g. by your cookie banner', 'video-wc-gallery')),
+        'vwg_settings_consent_cookie_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_consent_callback',
+        __( 'Consent JavaScript check', 'video-wc-gallery' ) . wc_help_tip(__('Name of a global function or property that tells if the visitor has given consent, e.g. Cookiebot.consent.marketing', 'video-wc-gallery')),
+        'vwg_settings_consent_callback_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_mini_player',
+        __( 'Floating mini-player', 'video-wc-gallery' ) . wc_help_tip(__('A video that is playing moves to a small player in the corner of the screen when the shopper scrolls past the gallery', 'video-wc-gallery')),
+        'vwg_settings_mini_player_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_end_screen',
+        __( 'End screen', 'video-wc-gallery' ) . wc_help_tip(__('Videos that do not loop show Replay and Next video buttons when they finish', 'video-wc-gallery')),
+        'vwg_settings_end_screen_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_end_screen_cart',
+        __( 'Add to cart on the end screen', 'video-wc-gallery' ) . wc_help_tip(__('The end screen of simple products that are in stock also has an Add to cart button', 'video-wc-gallery')),
+        'vwg_settings_end_screen_cart_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_playlist',
+        __( 'Playlist mode', 'video-wc-gallery' ) . wc_help_tip(__('When a video finishes, the gallery counts down and moves on to the next slide, playing it when it is a video', 'video-wc-gallery')),
+        'vwg_settings_playlist_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_playlist_skip_images',
+        __( 'Skip images in playlist mode', 'video-wc-gallery' ) . wc_help_tip(__('Playlist mode moves straight to the next video instead of stopping at the image slides between videos', 'video-wc-gallery')),
+        'vwg_settings_playlist_skip_images_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_loop_preview',
+        __( 'Video preview on shop pages', 'video-wc-gallery' ) . wc_help_tip(__('Product cards on the shop, category, related and upsell lists play the product\'s first video, muted and looping, on hover, or while in view on touch screens', 'video-wc-gallery')),
+        'vwg_settings_loop_preview_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_limit_reduced_motion',
+        __( 'No autoplay for visitors who prefer reduced motion', 'video-wc-gallery' ) . wc_help_tip(__('Videos wait for a click and download nothing up front when the visitor\'s system asks for reduced motion', 'video-wc-gallery')),
+        'vwg_settings_limit_reduced_motion_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_limit_save_data',
+        __( 'No autoplay when Data Saver is on', 'video-wc-gallery' ) . wc_help_tip(__('Videos wait for a click and download nothing up front when the visitor\'s browser has Data Saver turned on', 'video-wc-gallery')),
+        'vwg_settings_limit_save_data_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
+    add_settings_field(
+        'vwg_settings_limit_slow_connection',
+        __( 'No autoplay on slow connections', 'video-wc-gallery' ) . wc_help_tip(__('Videos wait for a click and download nothing up front when the browser reports a 2G or 3G connection', 'video-wc-gallery')),
+        'vwg_settings_limit_slow_connection_callback',
+        'vwg_settings_group',
+        'vwg_settings_section'
+    );
+
     /**
      * Thumbnails optimization fields
      */
@@ -601,6 +743,86 @@ function vwg_register_settings() {
         'default' => false
     ) );
 
+    register_setting( 'vwg_settings_group', 'vwg_settings_lazy_load', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field'
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_youtube_nocookie', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_embed_consent', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_consent_cookie', array(
+        'type' => 'string',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => ''
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_consent_callback', array(
+        'type' => 'string',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => ''
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_mini_player', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_end_screen', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_end_screen_cart', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_playlist', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_playlist_skip_images', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_loop_preview', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field',
+        'default' => false
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_limit_reduced_motion', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field'
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_limit_save_data', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field'
+    ) );
+
+    register_setting( 'vwg_settings_group', 'vwg_settings_limit_slow_connection', array(
+        'type' => 'boolean',
+        'sanitize_callback' => 'sanitize_text_field'
+    ) );
+
     /**
      * Thumbnails optimization - register
      */
@@ -833,6 +1055,104 @@ function vwg_settings_video_adapt_sizes_callback() {
     <?php
 }
 
+function vwg_settings_lazy_load_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_lazy_load" id="vwg_settings_lazy_load" value="1" <?php checked(isset($option['vwg_settings_lazy_load']) && $option['vwg_settings_lazy_load'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_youtube_nocookie_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_youtube_nocookie" id="vwg_settings_youtube_nocookie" value="1" <?php checked(isset($option['vwg_settings_youtube_nocookie']) && $option['vwg_settings_youtube_nocookie'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_embed_consent_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_embed_consent" id="vwg_settings_embed_consent" value="1" <?php checked(isset($option['vwg_settings_embed_consent']) && $option['vwg_settings_embed_consent'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_consent_cookie_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="text" name="vwg_settings_consent_cookie" id="vwg_settings_consent_cookie" value="<?php echo esc_attr($option['vwg_settings_consent_cookie'] ?? '') ?>" placeholder="cookie_consent_marketing">
+    <?php
+}
+
+function vwg_settings_consent_callback_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="text" name="vwg_settings_consent_callback" id="vwg_settings_consent_callback" value="<?php echo esc_attr($option['vwg_settings_consent_callback'] ?? '') ?>" placeholder="Cookiebot.consent.marketing">
+    <?php
+}
+
+function vwg_settings_mini_player_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_mini_player" id="vwg_settings_mini_player" value="1" <?php checked(isset($option['vwg_settings_mini_player']) && $option['vwg_settings_mini_player'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_end_screen_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_end_screen" id="vwg_settings_end_screen" value="1" <?php checked(isset($option['vwg_settings_end_screen']) && $option['vwg_settings_end_screen'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_end_screen_cart_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_end_screen_cart" id="vwg_settings_end_screen_cart" value="1" <?php checked(isset($option['vwg_settings_end_screen_cart']) && $option['vwg_settings_end_screen_cart'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_playlist_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_playlist" id="vwg_settings_playlist" value="1" <?php checked(isset($option['vwg_settings_playlist']) && $option['vwg_settings_playlist'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_playlist_skip_images_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_playlist_skip_images" id="vwg_settings_playlist_skip_images" value="1" <?php checked(isset($option['vwg_settings_playlist_skip_images']) && $option['vwg_settings_playlist_skip_images'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_loop_preview_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_loop_preview" id="vwg_settings_loop_preview" value="1" <?php checked(isset($option['vwg_settings_loop_preview']) && $option['vwg_settings_loop_preview'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_limit_reduced_motion_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_limit_reduced_motion" id="vwg_settings_limit_reduced_motion" value="1" <?php checked(isset($option['vwg_settings_limit_reduced_motion']) && $option['vwg_settings_limit_reduced_motion'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_limit_save_data_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_limit_save_data" id="vwg_settings_limit_save_data" value="1" <?php checked(isset($option['vwg_settings_limit_save_data']) && $option['vwg_settings_limit_save_data'], '1'); ?>>
+    <?php
+}
+
+function vwg_settings_limit_slow_connection_callback() {
+    $option = get_option('vwg_settings_group');
+    ?>
+    <input type="checkbox" name="vwg_settings_limit_slow_connection" id="vwg_settings_limit_slow_connection" value="1" <?php checked(isset($option['vwg_settings_limit_slow_connection']) && $option['vwg_settings_limit_slow_connection'], '1'); ?>>
+    <?php
+}
+
 /**
  * Thumbnails Settings render
  */
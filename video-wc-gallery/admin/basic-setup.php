@@ -30,6 +30,20 @@ function vwg_activate_plugin() {
             'vwg_settings_autoplay' => 'autoplay',
             'vwg_settings_show_first' => '',
             'vwg_settings_video_adapt_sizes' => '',
+            'vwg_settings_lazy_load' => '1',
+            'vwg_settings_youtube_nocookie' => '',
+            'vwg_settings_embed_consent' => '',
+            'vwg_settings_consent_cookie' => '',
+            'vwg_settings_consent_callback' => '',
+            'vwg_settings_mini_player' => '',
+            'vwg_settings_end_screen' => '',
+            'vwg_settings_end_screen_cart' => '',
+            'vwg_settings_playlist' => '',
+            'vwg_settings_playlist_skip_images' => '',
+            'vwg_settings_loop_preview' => '',
+            'vwg_settings_limit_reduced_motion' => '1',
+            'vwg_settings_limit_save_data' => '1',
+            'vwg_settings_limit_slow_connection' => '1',
         );
         update_option( 'vwg_settings_group', $settings );
     }
@@ -16,26 +16,96 @@ $option = get_option('vwg_settings_group');
  */
 function vwg_enqueue_scripts( $hook ) {
 
-    if ( is_product() ) {
-        // CSS
-        wp_enqueue_style('vwg_fontawesome', VWG_VIDEO_WOO_GALLERY_URL . 'includes/fontawesome_v6-6-0/css/all.css', '', VWG_VERSION_NUM);
-        // Enqueue Video.js CSS
-        wp_enqueue_style('videojs-css', VWG_VIDEO_WOO_GALLERY_URL . 'includes/video-js/video-js.css', '', VWG_VERSION_NUM);
+    // Pages that inject product galleries later (quick view, AJAX navigation) can load the scripts too, see VWG.init().
+    if ( apply_filters( 'vwg_enqueue_gallery_scripts', is_product() ) ) {
+        vwg_enqueue_player_assets();
 
         // Enqueue Flatsome theme specific styles
         if (vwg_active_theme_checker() === 'Flatsome') {
             wp_enqueue_style('vwg-flatsome-gallery', VWG_VIDEO_WOO_GALLERY_URL . 'woocommerce-overwrite/assets/css/flatsome-gallery.css', '', VWG_VERSION_NUM);
         }
 
-        // JS
-        // Enqueue Video.js JavaScript
-        wp_enqueue_script('videojs', VWG_VIDEO_WOO_GALLERY_URL . 'includes/video-js/video-js.min.js', array('jquery'), VWG_VERSION_NUM, true);
+        // Classic gallery controller (flexslider / Flatsome Flickity)
+        $option = get_option('vwg_settings_group');
+        wp_enqueue_script('vwg-gallery-classic', VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-gallery-classic.js', array('jquery', 'videojs', 'vwg-core'), VWG_VERSION_NUM, true);
+        wp_localize_script('vwg-gallery-classic', 'vwgClassicData', array(
+            'theme'    => vwg_active_theme_checker(),
+            'lazyLoad' => !empty($option['vwg_settings_lazy_load']),
+        ));
 
     }
 
 }
 add_action( 'wp_enqueue_scripts', 'vwg_enqueue_scripts' );
 
+/**
+ * Enqueue Video.js, the player overlays and the shared frontend core
+ *
+ * Used by the product gallery and by the [vwg_product_videos] shortcode and block.
+ *
+ * @since 2.6
+ */
+function vwg_enqueue_player_assets() {
+    // CSS
+    wp_enqueue_style('vwg_fontawesome', VWG_VIDEO_WOO_GALLERY_URL . 'includes/fontawesome_v6-6-0/css/all.css', '', VWG_VERSION_NUM);
+    // Enqueue Video.js CSS
+    wp_enqueue_style('videojs-css', VWG_VIDEO_WOO_GALLERY_URL . 'includes/video-js/video-js.css', '', VWG_VERSION_NUM);
+    // Player overlays shared by the classic gallery and the block (resume button, mini-player)
+    wp_enqueue_style('vwg-player', VWG_VIDEO_WOO_GALLERY_URL . 'includes/css/vwg-player.css', array('videojs-css'), VWG_VERSION_NUM);
+
+    // JS
+    // Enqueue Video.js JavaScript
+    wp_enqueue_script('videojs', VWG_VIDEO_WOO_GALLERY_URL . 'includes/video-js/video-js.min.js', array('jquery'), VWG_VERSION_NUM, true);
+
+    vwg_enqueue_core_script();
+}
+
+/**
+ * Enqueue the shared frontend core (window.VWG, public vwg:* events) with its settings
+ *
+ * Also used outside product pages, e.g. by the shop loop video previews.
+ *
+ * @since 2.6
+ */
+function vwg_enqueue_core_script() {
+    if (wp_script_is('vwg-core', 'enqueued')) {
+        return;
+    }
+
+    wp_enqueue_script('vwg-core', VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-core.js', array(), VWG_VERSION_NUM, true);
+    $option = get_option('vwg_settings_group');
+    wp_localize_script('vwg-core', 'vwgPlayerData', array(
+        // Remember playback positions and the shopper's volume in localStorage.
+        'remember'        => (bool) apply_filters('vwg_remember_playback', true),
+        /* translators: %s: playback position, e.g. 0:42 */
+        'resume'          => __('Resume from %s', 'video-wc-gallery'),
+        'miniPlayer'      => !empty($option['vwg_settings_mini_player']),
+        'miniPlayerLabel' => __('Video player', 'video-wc-gallery'),
+        'backToGallery'   => __('Back to gallery', 'video-wc-gallery'),
+        'closeMiniPlayer' => __('Close video', 'video-wc-gallery'),
+        // Click-to-play for visitors who ask for less motion or less data.
+        'limits'          => vwg_get_playback_limits(),
+        // Shoppable hotspots and the end screen add to the cart through WooCommerce's AJAX endpoint.
+        'addToCartUrl'    => class_exists('WC_AJAX') ? WC_AJAX::get_endpoint('add_to_cart') : '',
+        'addedToCart'     => __('Added to cart', 'video-wc-gallery'),
+        'endScreen'       => vwg_get_end_screen_settings()['enabled'],
+        'replay'          => __('Replay', 'video-wc-gallery'),
+        'nextVideo'       => __('Next video', 'video-wc-gallery'),
+        'addToCart'       => __('Add to cart', 'video-wc-gallery'),
+        'playlist'        => vwg_get_playlist_settings(),
+        /* translators: %s: seconds left, e.g. 5 */
+        'upNext'          => __('Up next in %s', 'video-wc-gallery'),
+        'cancel'          => __('Cancel', 'video-wc-gallery'),
+        // Start and stop galleries added to or removed from the page (VWG.observeGalleries()).
+        'observe'         => (bool) apply_filters('vwg_observe_galleries', false),
+    ));
+
+    // Enqueued while rendering the page (e.g. by a shortcode): the embed providers were not passed on wp_enqueue_scripts.
+    if (did_action('wp_enqueue_scripts') && !doing_action('wp_enqueue_scripts')) {
+        vwg_localize_embed_providers();
+    }
+}
+
 /**
  * Create video tab in Woocommerce product
  *
@@ -75,8 +145,23 @@ function vwg_add_custom_product_tab_content() {
                     <span class="pro-badge">PRO</span>
                 <?php endif; ?>
             </button>
+            <span class="vwg-button-separator"><?php echo esc_html__('- or -' , 'video-wc-gallery') ?></span>
+            <button id="add_stream_button" type="button" class="button">
+                <i class="fas fa-link"></i> <?php echo esc_html__('Video URL' , 'video-wc-gallery') ?>
+            </button>
         </p>
 
+        <!-- Hosted video (Vimeo, Wistia, ...) or HLS (.m3u8) / DASH (.mpd) manifest URL input field -->
+        <div id="stream_url_container" class="vwg-youtube-input-container" style="display: none;">
+            <input type="url" id="stream_url_input" placeholder="<?php echo esc_attr__('Enter a Vimeo, Wistia, Dailymotion, HLS (.m3u8) or DASH (.mpd) URL...' , 'video-wc-gallery') ?>" class="vwg-youtube-input" />
+            <button id="confirm_stream_button" type="button" class="button button-primary">
+                <?php echo esc_html__('Add Video' , 'video-wc-gallery') ?>
+            </button>
+            <button id="cancel_stream_button" type="button" class="button button-secondary">
+                <?php echo esc_html__('Cancel' , 'video-wc-gallery') ?>
+            </button>
+        </div>
+
         <!-- YouTube URL input field (shown only in PRO version) -->
         <?php if (vwg_is_pro_addon()): ?>
         <div id="youtube_url_container" class="vwg-youtube-input-container" style="display: none;">
@@ -95,6 +180,7 @@ function vwg_add_custom_product_tab_content() {
                 $video_url = maybe_unserialize( $video_url );
                 $break_rule = vwg_get_video_limit();
                 $position_counter = 0;
+                $hotspot_variations = vwg_get_hotspot_variation_options( wc_get_product( $post->ID ) );
                 ?>
                 <?php foreach ($video_url as $key => $video) :
                 $position_counter++;
@@ -104,9 +190,19 @@ function vwg_add_custom_product_tab_content() {
                 ?>
                 <li class="ui-state video_id_<?php echo esc_attr($key) ?>" data-position="<?php echo esc_attr($position_counter) ?>" >
                     <div class="video-player" style="background-image: url('<?php echo esc_url($video['video_thumb_url']); ?>');">
+                        <?php $embed = vwg_get_embed_provider($video['video_url']); ?>
+                        <?php if ($embed) : ?>
+                        <span class="vwg-embed-label"><i class="fas fa-link"></i> <?php echo esc_html($embed['provider']['label']); ?></span>
+                        <?php else : ?>
                         <video width="100%" height="100%" controls preload="auto" crossorigin="anonymous">
-                            <source src="<?php echo esc_url($video['video_url']); ?>" type="video/mp4">
+                            <?php foreach (vwg_get_video_sources($video) as $source) : ?>
+                            <source src="<?php echo esc_url($source['src']); ?>" type="<?php echo esc_attr($source['type']); ?>">
+                            <?php endforeach; ?>
+                            <?php foreach (vwg_get_video_tracks($video) as $track) : ?>
+                            <track kind="<?php echo esc_attr($track['kind']); ?>" src="<?php echo esc_url($track['src']); ?>" srclang="<?php echo esc_attr($track['srclang']); ?>" label="<?php echo esc_attr($track['label']); ?>">
+                            <?php endforeach; ?>
                         </video>
+                        <?php endif; ?>
                     </div>
                     <div class="video-actions">
                         <div class="action-btn seo-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('SEO settings', 'video-wc-gallery'); ?>">
@@ -115,12 +211,104 @@ function vwg_add_custom_product_tab_content() {
                             <span class="pro-badge">PRO</span>
                             <?php endif; ?>
                         </div>
+                        <div class="action-btn sources-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('Add alternate source', 'video-wc-gallery'); ?>">
+                            <i class="fas fa-layer-group"></i>
+                        </div>
+                        <div class="action-btn tracks-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('Add captions (.vtt)', 'video-wc-gallery'); ?>">
+                            <i class="fas fa-closed-captioning"></i>
+                        </div>
+                        <div class="action-btn playback-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('Playback settings', 'video-wc-gallery'); ?>">
+                            <i class="fas fa-sliders-h"></i>
+                        </div>
+                        <div class="action-btn hotspots-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('Shoppable hotspots', 'video-wc-gallery'); ?>">
+                            <i class="fas fa-tag"></i>
+                        </div>
                         <div class="action-btn delete-btn" data-video-id="<?php echo esc_attr($key) ?>" title="<?php echo esc_attr__('Delete', 'video-wc-gallery'); ?>">
                             <i class="fas fa-trash-alt"></i>
                         </div>
                     </div>
+                    <ul class="vwg-video-sources">
+                        <?php if (!empty($video['video_sources']) && is_array($video['video_sources'])) : ?>
+                        <?php foreach ($video['video_sources'] as $source_index => $source) :
+                            $source_mime = vwg_get_video_source_type($source['url'], $source['mime'] ?? '');
+                            $source_formats = vwg_get_video_source_formats();
+                            if (!isset($source_formats[$source_mime])) {
+                                $source_formats[$source_mime] = $source_mime;
+                            }
+                            ?>
+                        <li class="vwg-video-source">
+                            <span class="vwg-video-source-name" title="<?php echo esc_attr($source['url']); ?>"><?php echo esc_html(wp_basename($source['url'])); ?></span>
+                            <select name="video_url[<?php echo esc_attr($key) ?>][video_sources][<?php echo esc_attr($source_index) ?>][mime]">
+                                <?php foreach ($source_formats as $format_type => $format_label) : ?>
+                                <option value="<?php echo esc_attr($format_type); ?>" <?php selected($source_mime, $format_type); ?>><?php echo esc_html($format_label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <input type="hidden" name="video_url[<?php echo esc_attr($key) ?>][video_sources][<?php echo esc_attr($source_index) ?>][url]" value="<?php echo esc_url($source['url']); ?>"/>
+                            <button type="button" class="vwg-remove-source" title="<?php echo esc_attr__('Remove source', 'video-wc-gallery'); ?>"><i class="fas fa-times"></i></button>
+                        </li>
+                        <?php endforeach; ?>
+                        <?php endif; ?>
+                    </ul>
+                    <ul class="vwg-video-tracks">
+                        <?php foreach (vwg_get_video_tracks($video) as $track_index => $track) : ?>
+                        <li class="vwg-video-track">
+                            <span class="vwg-video-track-name" title="<?php echo esc_attr($track['src']); ?>"><?php echo esc_html(wp_basename($track['src'])); ?></span>
+                            <input type="text" class="vwg-video-track-lang" name="video_url[<?php echo esc_attr($key) ?>][video_tracks][<?php echo esc_attr($track_index) ?>][srclang]" value="<?php echo esc_attr($track['srclang']); ?>" placeholder="<?php echo esc_attr__('en', 'video-wc-gallery'); ?>" title="<?php echo esc_attr__('Language code', 'video-wc-gallery'); ?>"/>
+                            <input type="text" class="vwg-video-track-label" name="video_url[<?php echo esc_attr($key) ?>][video_tracks][<?php echo esc_attr($track_index) ?>][label]" value="<?php echo esc_attr($track['label']); ?>" placeholder="<?php echo esc_attr__('Label', 'video-wc-gallery'); ?>" title="<?php echo esc_attr__('Label', 'video-wc-gallery'); ?>"/>
+                            <select name="video_url[<?php echo esc_attr($key) ?>][video_tracks][<?php echo esc_attr($track_index) ?>][kind]">
+                                <?php foreach (vwg_get_video_track_kinds() as $kind => $kind_label) : ?>
+                                <option value="<?php echo esc_attr($kind); ?>" <?php selected($track['kind'], $kind); ?>><?php echo esc_html($kind_label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                            <input type="hidden" name="video_url[<?php echo esc_attr($key) ?>][video_tracks][<?php echo esc_attr($track_index) ?>][url]" value="<?php echo esc_url($track['src']); ?>"/>
+                            <button type="button" class="vwg-remove-track" title="<?php echo esc_attr__('Remove track', 'video-wc-gallery'); ?>"><i class="fas fa-times"></i></button>
+                        </li>
+                        <?php endforeach; ?>
+                    </ul>
+                    <?php $video_playback = vwg_sanitize_video_playback($video['video_playback'] ?? array()); ?>
+                    <div class="vwg-video-playback" <?php echo empty($video_playback) ? 'style="display:none"' : ''; ?>>
+                        <?php foreach (vwg_get_video_playback_options() as $setting => $setting_label) : ?>
+                        <label class="vwg-video-playback-option">
+                            <span><?php echo esc_html($setting_label); ?></span>
+                            <select name="video_url[<?php echo esc_attr($key) ?>][video_playback][<?php echo esc_attr($setting); ?>]">
+                                <option value=""><?php echo esc_html__('Default', 'video-wc-gallery'); ?></option>
+                                <option value="1" <?php selected($video_playback[$setting] ?? '', '1'); ?>><?php echo esc_html__('On', 'video-wc-gallery'); ?></option>
+                                <option value="0" <?php selected($video_playback[$setting] ?? '', '0'); ?>><?php echo esc_html__('Off', 'video-wc-gallery'); ?></option>
+                            </select>
+                        </label>
+                        <?php endforeach; ?>
+                    </div>
+                    <?php $video_hotspots = !empty($video['video_hotspots']) && is_array($video['video_hotspots']) ? $video['video_hotspots'] : array(); ?>
+                    <div class="vwg-video-hotspots" <?php echo empty($video_hotspots) ? 'style="display:none"' : ''; ?>>
+                        <ul class="vwg-video-hotspot-list">
+                            <?php foreach ($video_hotspots as $hotspot_index => $hotspot) :
+                                $hotspot_name = 'video_url[' . $key . '][video_hotspots][' . $hotspot_index . ']';
+                                ?>
+                            <li class="vwg-video-hotspot">
+                                <input type="text" class="vwg-video-hotspot-time" name="<?php echo esc_attr($hotspot_name); ?>[start]" value="<?php echo esc_attr(vwg_format_video_time($hotspot['start'])); ?>" placeholder="0:12" title="<?php echo esc_attr__('Start', 'video-wc-gallery'); ?>"/>
+                                <span>&ndash;</span>
+                                <input type="text" class="vwg-video-hotspot-time" name="<?php echo esc_attr($hotspot_name); ?>[end]" value="<?php echo esc_attr(vwg_format_video_time($hotspot['end'])); ?>" placeholder="0:20" title="<?php echo esc_attr__('End', 'video-wc-gallery'); ?>"/>
+                                <input type="text" class="vwg-video-hotspot-label" name="<?php echo esc_attr($hotspot_name); ?>[label]" value="<?php echo esc_attr($hotspot['label']); ?>" placeholder="<?php echo esc_attr__('Blue colour', 'video-wc-gallery'); ?>" title="<?php echo esc_attr__('Label', 'video-wc-gallery'); ?>"/>
+                                <select name="<?php echo esc_attr($hotspot_name); ?>[action]">
+                                    <?php foreach (vwg_get_video_hotspot_actions() as $action => $action_label) : ?>
+                                    <option value="<?php echo esc_attr($action); ?>" <?php selected($hotspot['action'], $action); ?>><?php echo esc_html($action_label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <select name="<?php echo esc_attr($hotspot_name); ?>[variation_id]">
+                                    <option value=""><?php echo esc_html__('This product', 'video-wc-gallery'); ?></option>
+                                    <?php foreach ($hotspot_variations as $variation_id => $variation_label) : ?>
+                                    <option value="<?php echo esc_attr($variation_id); ?>" <?php selected($hotspot['variation_id'], $variation_id); ?>><?php echo esc_html($variation_label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <button type="button" class="vwg-remove-hotspot" title="<?php echo esc_attr__('Remove hotspot', 'video-wc-gallery'); ?>"><i class="fas fa-times"></i></button>
+                            </li>
+                            <?php endforeach; ?>
+                        </ul>
+                        <button type="button" class="button vwg-add-hotspot" data-video-id="<?php echo esc_attr($key) ?>"><i class="fas fa-plus"></i> <?php echo esc_html__('Add hotspot', 'video-wc-gallery'); ?></button>
+                    </div>
                     <input type="hidden" class="video_url" name="video_url[<?php echo esc_attr($key) ?>][video_url]" value="<?php echo esc_url($video['video_url']); ?>"/>
                     <input type="hidden" class="video_thumb_url" name="video_url[<?php echo esc_attr($key) ?>][video_thumb_url]" value="<?php echo esc_url($video['video_thumb_url']); ?>"/>
+                    <input type="hidden" class="video_mime" name="video_url[<?php echo esc_attr($key) ?>][video_mime]" value="<?php echo isset($video['video_mime']) ? esc_attr($video['video_mime']) : ''; ?>"/>
                     <input type="hidden" class="video_title" name="video_url[<?php echo esc_attr($key) ?>][video_title]" value="<?php echo isset($video['video_title']) ? esc_attr($video['video_title']) : ''; ?>"/>
                     <input type="hidden" class="video_description" name="video_url[<?php echo esc_attr($key) ?>][video_description]" value="<?php echo isset($video['video_description']) ? esc_attr($video['video_description']) : ''; ?>"/>
                 </li>
@@ -161,6 +349,8 @@ function vwg_add_custom_product_tab_content() {
                 <?php endif; ?>
             </div>
         </div>
+
+        <?php vwg_render_product_display_settings($post->ID); ?>
         
     </div>
     <?php
@@ -186,6 +376,11 @@ function vwg_save_custom_product_tab_content( $post_id ) {
             $sanitized_attachment = array(
                 'video_url' => wp_kses_post( $attachment['video_url'] ),
                 'video_thumb_url' => wp_kses_post( $attachment['video_thumb_url'] ),
+                'video_mime' => vwg_get_embed_provider( $attachment['video_url'] ) ? '' : vwg_get_video_source_type( $attachment['video_url'], sanitize_mime_type( $attachment['video_mime'] ?? '' ) ),
+                'video_sources' => vwg_sanitize_video_sources( $attachment['video_sources'] ?? array() ),
+                'video_tracks' => vwg_sanitize_video_tracks( $attachment['video_tracks'] ?? array() ),
+                'video_playback' => vwg_sanitize_video_playback( $attachment['video_playback'] ?? array() ),
+                'video_hotspots' => vwg_sanitize_video_hotspots( $attachment['video_hotspots'] ?? array() ),
             );
             
             if ( isset( $attachment['video_thumb_url'] ) ) {
@@ -272,6 +467,11 @@ function vwg_add_video_upload_script() {
             var videoLimit = parseInt($('#vwg_video_tab_content').attr('v-limit'));
             var isPro = parseInt($('#vwg_video_tab_content').attr('is-pro'));
 
+            // Per-product icon color
+            if ($.fn.wpColorPicker) {
+                $('.vwg-display-icon-color').wpColorPicker();
+            }
+
             // YouTube button click handler
             $('#add_youtube_button').on('click', function(e) {
                 e.preventDefault();
@@ -466,9 +666,8 @@ function vwg_add_video_upload_script() {
                 $('#vwg-seo-modal').hide();
             });
 
-            $('#add_video_button').on('click', function(e) {
-                e.preventDefault();
-                
+            // Check the product and video limits before adding a video
+            function canAddVideo() {
                 if (!isPro && !php && pvc >= pml) {
                     Swal.fire({
                         title: '<?php echo esc_js(__('Product Limit Reached', 'video-wc-gallery')); ?>',
@@ -498,9 +697,9 @@ function vwg_add_video_upload_script() {
                             window.open('https://nitramix.com/projects/video-gallery-for-woocommerce', '_blank');
                         }
                     });
-                    return;
+                    return false;
                 }
-                
+            
                 if(currentVideoCount >= videoLimit && isPro == 0) {
                     // Show modal for upgrading to PRO version with SweetAlert
                     Swal.fire({
@@ -539,6 +738,386 @@ function vwg_add_video_upload_script() {
                             window.open('https://nitramix.com/projects/video-gallery-for-woocommerce', '_blank');
                         }
                     });
+                    return false;
+                }
+
+                return true;
+            }
+
+            // Append a video item to the gallery list
+            function appendVideoItem(key, url, mime, title, description, embedLabel) {
+                var $item = $(`
+                    <li class="ui-state video_id_${key}" data-position="${currentVideoCount}" >
+                        <div class="video-player"></div>
+                        <div class="video-actions">
+                            <div class="action-btn seo-btn" data-video-id="${key}" title="${'SEO settings'}">
+                                <i class="fas fa-cog"></i>
+                                ${$('#vwg_video_tab_content').attr('is-pro') === '0' ? '<span class="pro-badge">PRO</span>' : ''}
+                            </div>
+                            <div class="action-btn sources-btn" data-video-id="${key}" title="<?php echo esc_js(__('Add alternate source', 'video-wc-gallery')); ?>">
+                                <i class="fas fa-layer-group"></i>
+                            </div>
+                            <div class="action-btn tracks-btn" data-video-id="${key}" title="<?php echo esc_js(__('Add captions (.vtt)', 'video-wc-gallery')); ?>">
+                                <i class="fas fa-closed-captioning"></i>
+                            </div>
+                            <div class="action-btn playback-btn" data-video-id="${key}" title="<?php echo esc_js(__('Playback settings', 'video-wc-gallery')); ?>">
+                                <i class="fas fa-sliders-h"></i>
+                            </div>
+                            <div class="action-btn hotspots-btn" data-video-id="${key}" title="<?php echo esc_js(__('Shoppable hotspots', 'video-wc-gallery')); ?>">
+                                <i class="fas fa-tag"></i>
+                            </div>
+                            <div class="action-btn delete-btn" data-video-id="${key}" title="${'Delete'}">
+                                <i class="fas fa-trash-alt"></i>
+                            </div>
+                        </div>
+                        <ul class="vwg-video-sources"></ul>
+                        <ul class="vwg-video-tracks"></ul>
+                        <div class="vwg-video-playback" style="display:none"></div>
+                        <div class="vwg-video-hotspots" style="display:none">
+                            <ul class="vwg-video-hotspot-list"></ul>
+                            <button type="button" class="button vwg-add-hotspot" data-video-id="${key}"><i class="fas fa-plus"></i> <?php echo esc_js(__('Add hotspot', 'video-wc-gallery')); ?></button>
+                        </div>
+                        <input type="hidden" class="video_url" name="video_url[${key}][video_url]"/>
+                        <input type="hidden" class="video_thumb_url" name="video_url[${key}][video_thumb_url]" value=""/>
+                        <input type="hidden" class="video_mime" name="video_url[${key}][video_mime]"/>
+                        <input type="hidden" class="video_title" name="video_url[${key}][video_title]"/>
+                        <input type="hidden" class="video_description" name="video_url[${key}][video_description]"/>
+                    </li>
+                `);
+
+                // The URL, title and description are typed in or come from the media library: set them as text and attributes, never as markup
+                var $player = $item.find('.video-player');
+                if (embedLabel) {
+                    $player.append($('<span class="vwg-embed-label"><i class="fas fa-link"></i> </span>').append(document.createTextNode(embedLabel)));
+                } else {
+                    $player.css('background-image', 'url(' + JSON.stringify(url) + ')').append(
+                        $('<video width="100%" height="100%" controls preload="auto" crossorigin="anonymous"></video>').append(
+                            $('<source>').attr({ src: url, type: mime })
+                        )
+                    );
+                }
+
+                $item.find('.video_url').attr('value', url);
+                $item.find('.video_mime').attr('value', mime);
+                $item.find('.video_title').attr('value', title);
+                $item.find('.video_description').attr('value', description);
+
+                $('.video_gallery_wrapper').append($item);
+
+                appendVideoPlayback(key);
+            }
+
+            // Playback settings that can be overridden per video
+            var playbackOptions = <?php echo wp_json_encode(vwg_get_video_playback_options()); ?>;
+
+            // Fill the playback settings panel of a new video item
+            function appendVideoPlayback(key) {
+                var $panel = $(`.video_id_${key} .vwg-video-playback`);
+
+                $.each(playbackOptions, function(setting, label) {
+                    $panel.append(
+                        $('<label class="vwg-video-playback-option"></label>').append(
+                            $('<span></span>').text(label),
+                            $('<select></select>').attr('name', `video_url[${key}][video_playback][${setting}]`).append(
+                                $('<option value=""></option>').text('<?php echo esc_js(__('Default', 'video-wc-gallery')); ?>'),
+                                $('<option value="1"></option>').text('<?php echo esc_js(__('On', 'video-wc-gallery')); ?>'),
+                                $('<option value="0"></option>').text('<?php echo esc_js(__('Off', 'video-wc-gallery')); ?>')
+                            )
+                        )
+                    );
+                });
+            }
+
+            // Playback settings button click handler
+            $(document).on('click', '.action-btn.playback-btn', function() {
+                $(`.video_id_${$(this).data('video-id')} .vwg-video-playback`).slideToggle(150);
+            });
+
+            // Hotspot actions and the variations of this product
+            var hotspotActions = <?php echo wp_json_encode(vwg_get_video_hotspot_actions()); ?>;
+            var hotspotVariations = <?php echo wp_json_encode((object) vwg_get_hotspot_variation_options(wc_get_product(get_the_ID()))); ?>;
+            var hotspotCounter = 0;
+
+            // Append a hotspot row to a video item
+            function appendVideoHotspot(key) {
+                var name = `video_url[${key}][video_hotspots][${Date.now()}_${hotspotCounter++}]`;
+                var $action = $('<select></select>').attr('name', name + '[action]');
+                var $variation = $('<select></select>').attr('name', name + '[variation_id]').append(
+                    $('<option value=""></option>').text('<?php echo esc_js(__('This product', 'video-wc-gallery')); ?>')
+                );
+
+                $.each(hotspotActions, function(action, label) {
+                    $action.append($('<option></option>').val(action).text(label));
+                });
+                $.each(hotspotVariations, function(id, label) {
+                    $variation.append($('<option></option>').val(id).text(label));
+                });
+
+                $(`.video_id_${key} .vwg-video-hotspot-list`).append(
+                    $('<li class="vwg-video-hotspot"></li>').append(
+                        $('<input type="text" class="vwg-video-hotspot-time" placeholder="0:12"/>').attr({
+                            name: name + '[start]',
+                            title: '<?php echo esc_js(__('Start', 'video-wc-gallery')); ?>'
+                        }),
+                        $('<span>&ndash;</span>'),
+                        $('<input type="text" class="vwg-video-hotspot-time" placeholder="0:20"/>').attr({
+                            name: name + '[end]',
+                            title: '<?php echo esc_js(__('End', 'video-wc-gallery')); ?>'
+                        }),
+                        $('<input type="text" class="vwg-video-hotspot-label"/>').attr({
+                            name: name + '[label]',
+                            placeholder: '<?php echo esc_js(__('Blue colour', 'video-wc-gallery')); ?>',
+                            title: '<?php echo esc_js(__('Label', 'video-wc-gallery')); ?>'
+                        }),
+                        $action,
+                        $variation,
+                        $('<button type="button" class="vwg-remove-hotspot"><i class="fas fa-times"></i></button>').attr('title', '<?php echo esc_js(__('Remove hotspot', 'video-wc-gallery')); ?>')
+                    )
+                );
+            }
+
+            // Hotspots button click handler
+            $(document).on('click', '.action-btn.hotspots-btn', function() {
+                var videoID = $(this).data('video-id');
+                var $panel = $(`.video_id_${videoID} .vwg-video-hotspots`);
+
+                if (!$panel.is(':visible') && $panel.find('.vwg-video-hotspot').length === 0) {
+                    appendVideoHotspot(videoID);
+                }
+                $panel.slideToggle(150);
+            });
+
+            // Add hotspot
+            $(document).on('click', '.vwg-add-hotspot', function() {
+                appendVideoHotspot($(this).data('video-id'));
+            });
+
+            // Remove hotspot
+            $(document).on('click', '.vwg-remove-hotspot', function() {
+                $(this).closest('.vwg-video-hotspot').remove();
+            });
+
+            // Formats offered for alternate sources
+            var sourceFormats = <?php echo wp_json_encode(vwg_get_video_source_formats()); ?>;
+            var sourceCounter = 0;
+
+            // Append an alternate source row to a video item
+            function appendVideoSource(key, url, mime) {
+                var index = Date.now() + '_' + (sourceCounter++);
+                var $select = $('<select></select>').attr('name', `video_url[${key}][video_sources][${index}][mime]`);
+
+                $.each(sourceFormats, function(type, label) {
+                    $select.append($('<option></option>').val(type).text(label));
+                });
+                if (mime && !sourceFormats.hasOwnProperty(mime)) {
+                    $select.append($('<option></option>').val(mime).text(mime));
+                }
+                $select.val(mime || 'video/mp4');
+
+                $(`.video_id_${key} .vwg-video-sources`).append(
+                    $('<li class="vwg-video-source"></li>').append(
+                        $('<span class="vwg-video-source-name"></span>').text(url.split('/').pop()).attr('title', url),
+                        $select,
+                        $('<input type="hidden"/>').attr('name', `video_url[${key}][video_sources][${index}][url]`).val(url),
+                        $('<button type="button" class="vwg-remove-source"><i class="fas fa-times"></i></button>').attr('title', '<?php echo esc_js(__('Remove source', 'video-wc-gallery')); ?>')
+                    )
+                );
+            }
+
+            // Alternate source button click handler
+            $(document).on('click', '.action-btn.sources-btn', function() {
+                var videoID = $(this).data('video-id');
+                var sourceUploader = wp.media({
+                    title: '<?php echo esc_js(__('Select alternate source', 'video-wc-gallery')); ?>',
+                    button: {
+                        text: '<?php echo esc_js(__('Add source', 'video-wc-gallery')); ?>'
+                    },
+                    library: {
+                        type: 'video'
+                    },
+                    multiple: true
+                });
+
+                sourceUploader.on('select', function() {
+                    sourceUploader.state().get('selection').each(function(model) {
+                        var attachment = model.toJSON();
+                        appendVideoSource(videoID, attachment.url, attachment.mime);
+                    });
+                });
+                sourceUploader.open();
+            });
+
+            // Remove alternate source
+            $(document).on('click', '.vwg-remove-source', function() {
+                $(this).closest('.vwg-video-source').remove();
+            });
+
+            // Track kinds for captions / subtitles
+            var trackKinds = <?php echo wp_json_encode(vwg_get_video_track_kinds()); ?>;
+
+            // Append a caption / subtitle track row to a video item
+            function appendVideoTrack(key, url, srclang, label) {
+                var index = Date.now() + '_' + (sourceCounter++);
+                var name = `video_url[${key}][video_tracks][${index}]`;
+                var $select = $('<select></select>').attr('name', name + '[kind]');
+
+                $.each(trackKinds, function(kind, kindLabel) {
+                    $select.append($('<option></option>').val(kind).text(kindLabel));
+                });
+
+                $(`.video_id_${key} .vwg-video-tracks`).append(
+                    $('<li class="vwg-video-track"></li>').append(
+                        $('<span class="vwg-video-track-name"></span>').text(url.split('/').pop()).attr('title', url),
+                        $('<input type="text" class="vwg-video-track-lang"/>').attr({
+                            name: name + '[srclang]',
+                            placeholder: '<?php echo esc_js(__('en', 'video-wc-gallery')); ?>',
+                            title: '<?php echo esc_js(__('Language code', 'video-wc-gallery')); ?>'
+                        }).val(srclang),
+                        $('<input type="text" class="vwg-video-track-label"/>').attr({
+                            name: name + '[label]',
+                            placeholder: '<?php echo esc_js(__('Label', 'video-wc-gallery')); ?>',
+                            title: '<?php echo esc_js(__('Label', 'video-wc-gallery')); ?>'
+                        }).val(label),
+                        $select,
+                        $('<input type="hidden"/>').attr('name', name + '[url]').val(url),
+                        $('<button type="button" class="vwg-remove-track"><i class="fas fa-times"></i></button>').attr('title', '<?php echo esc_js(__('Remove track', 'video-wc-gallery')); ?>')
+                    )
+                );
+            }
+
+            // Captions button click handler
+            $(document).on('click', '.action-btn.tracks-btn', function() {
+                var videoID = $(this).data('video-id');
+                var trackUploader = wp.media({
+                    title: '<?php echo esc_js(__('Select WebVTT captions', 'video-wc-gallery')); ?>',
+                    button: {
+                        text: '<?php echo esc_js(__('Add captions', 'video-wc-gallery')); ?>'
+                    },
+                    library: {
+                        type: 'text/vtt'
+                    },
+                    multiple: true
+                });
+
+                trackUploader.on('select', function() {
+                    trackUploader.state().get('selection').each(function(model) {
+                        var attachment = model.toJSON();
+                        // Guess the language from names like "product-video.en.vtt"
+                        var langMatch = attachment.filename ? attachment.filename.match(/[._-]([a-z]{2}(?:-[A-Za-z]{2})?)\.vtt$/i) : null;
+                        appendVideoTrack(videoID, attachment.url, langMatch ? langMatch[1] : '', attachment.title || '');
+                    });
+                });
+                trackUploader.open();
+            });
+
+            // Remove caption / subtitle track
+            $(document).on('click', '.vwg-remove-track', function() {
+                $(this).closest('.vwg-video-track').remove();
+            });
+
+            // Get the source type of an HLS / DASH manifest URL, or an empty string
+            function getStreamType(url) {
+                var path = url.split(/[?#]/)[0].toLowerCase();
+
+                if (/\.m3u8$/.test(path)) {
+                    return 'application/x-mpegURL';
+                }
+                if (/\.mpd$/.test(path)) {
+                    return 'application/dash+xml';
+                }
+                return '';
+            }
+
+            // Hosted video providers (see vwg_get_embed_providers())
+            var embedProviders = <?php echo wp_json_encode(vwg_get_embed_providers()); ?>;
+
+            // Get the name of the embed provider matching a URL, or an empty string
+            function getEmbedProvider(url) {
+                for (var name in embedProviders) {
+                    if (embedProviders[name].pattern && new RegExp(embedProviders[name].pattern, 'i').test(url)) {
+                        return name;
+                    }
+                }
+                return '';
+            }
+
+            // Video URL button click handler
+            $('#add_stream_button').on('click', function(e) {
+                e.preventDefault();
+
+                if (!canAddVideo()) {
+                    return;
+                }
+
+                $('#stream_url_container').slideDown(200);
+                $('#stream_url_input').trigger('focus');
+            });
+
+            $('#cancel_stream_button').on('click', function() {
+                $('#stream_url_input').val('');
+                $('#stream_url_container').slideUp(200);
+            });
+
+            $('#confirm_stream_button').on('click', function() {
+                var streamUrl = $.trim($('#stream_url_input').val());
+                var streamType = getStreamType(streamUrl);
+                var embedName = streamType ? '' : getEmbedProvider(streamUrl);
+
+                if (!/^https?:\/\//i.test(streamUrl) || (!streamType && !embedName)) {
+                    Swal.fire({
+                        title: '<?php echo esc_js(__('Invalid video URL', 'video-wc-gallery')); ?>',
+                        text: '<?php echo esc_js(__('Enter a video page link from a supported host (Vimeo, Wistia, Dailymotion) or a link to an HLS (.m3u8) or DASH (.mpd) manifest.', 'video-wc-gallery')); ?>',
+                        icon: 'warning',
+                        confirmButtonColor: '#6C5CE7',
+                        confirmButtonText: '<?php echo esc_js(__('OK', 'video-wc-gallery')); ?>',
+                        buttonsStyling: true,
+                        focusConfirm: false,
+                        background: '#fff',
+                        backdrop: 'rgba(0,0,0,0.4)'
+                    });
+                    return;
+                }
+
+                // YouTube videos stay a PRO feature
+                if (embedName === 'youtube' && !isPro) {
+                    $('#add_youtube_button').trigger('click');
+                    return;
+                }
+
+                if (!canAddVideo()) {
+                    return;
+                }
+
+                if ($('.video_gallery_wrapper > li[class*="video_id_"]').length >= videoLimit) {
+                    Swal.fire({
+                        title: '<?php echo esc_html__('Ops..' , 'video-wc-gallery') ?>',
+                        text: `<?php echo esc_html__('Can add only', 'video-wc-gallery') ?> ${ videoLimit } <?php echo esc_html__('videos !', 'video-wc-gallery') ?>`,
+                        icon: 'warning',
+                        confirmButtonColor: '#6C5CE7',
+                        confirmButtonText: '<?php echo esc_js(__('OK', 'video-wc-gallery')); ?>',
+                        buttonsStyling: true,
+                        focusConfirm: false,
+                        background: '#fff',
+                        backdrop: 'rgba(0,0,0,0.4)'
+                    });
+                    return;
+                }
+
+                // URL videos have no captured frame; the product image is used as poster on the product page
+                appendVideoItem('url_' + Date.now(), streamUrl, streamType, '', '', embedName ? embedProviders[embedName].label : '');
+                resetVideoPositions();
+
+                $('#stream_url_input').val('');
+                $('#stream_url_container').slideUp(200);
+                $('.bar-btns').show();
+
+                updateVideoCounter();
+            });
+
+            $('#add_video_button').on('click', function(e) {
+                e.preventDefault();
+
+                if (!canAddVideo()) {
                     return;
                 }
 
@@ -569,28 +1148,7 @@ function vwg_add_video_upload_script() {
                     
                     if ($('.video_gallery_wrapper > li[class*="video_id_"]').length < parseInt($('#vwg_video_tab_content').attr('v-limit')) ) {
 
-                        $('.video_gallery_wrapper').append(`
-                            <li class="ui-state video_id_${attachment.id}" data-position="${currentVideoCount}" >
-                                <div class="video-player" style="background-image: url('${attachment.url}');">
-                                    <video width="100%" height="100%" controls preload="auto" crossorigin="anonymous">
-                                        <source src="${attachment.url}" type="video/mp4">
-                                    </video>
-                                </div>
-                                <div class="video-actions">
-                                    <div class="action-btn seo-btn" data-video-id="${attachment.id}" title="${'SEO settings'}">
-                                        <i class="fas fa-cog"></i>
-                                        ${$('#vwg_video_tab_content').attr('is-pro') === '0' ? '<span class="pro-badge">PRO</span>' : ''}
-                                    </div>
-                                    <div class="action-btn delete-btn" data-video-id="${attachment.id}" title="${'Delete'}">
-                                        <i class="fas fa-trash-alt"></i>
-                                    </div>
-                                </div>
-                                <input type="hidden" class="video_url" name="video_url[${attachment.id}][video_url]" value="${attachment.url}"/>
-                                <input type="hidden" class="video_thumb_url" name="video_url[${attachment.id}][video_thumb_url]" value=""/>
-                                <input type="hidden" class="video_title" name="video_url[${attachment.id}][video_title]" value="${attachment.title}"/>
-                                <input type="hidden" class="video_description" name="video_url[${attachment.id}][video_description]" value="${attachment.caption}"/>
-                            </li>
-                        `)
+                        appendVideoItem(attachment.id, attachment.url, attachment.mime, attachment.title, attachment.caption);
 
                         // Load the video element
                         var video = $(`.video_id_${attachment.id} video`)[0];
@@ -747,10 +1305,39 @@ function vwg_add_video_upload_script() {
             border-color: #cc0000;
         }
 
+        #vwg_video_tab_content .vwg-embed-label {
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            padding: 6px 12px;
+            border-radius: 6px;
+            background: rgba(0,0,0,0.6);
+            color: #fff;
+            font-weight: 500;
+            white-space: nowrap;
+        }
+
+        /* Video URL input */
+        #vwg_video_tab_content #stream_url_container {
+            margin: 0 10px 10px;
+        }
+
+        #vwg_video_tab_content #stream_url_input {
+            width: 360px;
+            max-width: 100%;
+            margin-right: 6px;
+        }
+
         #vwg_video_tab_content #add_youtube_button .pro-badge {
             top: -8px;
             right: -8px;
         }
+        #vwg_video_tab_content .action-btn.sources-btn,
+        #vwg_video_tab_content .action-btn.tracks-btn,
+        #vwg_video_tab_content .action-btn.hotspots-btn {
+            color: #2271b1;
+        }
         #vwg_video_tab_content .action-btn.delete-btn {
             color: #ff5252;
         }
@@ -759,6 +1346,109 @@ function vwg_add_video_upload_script() {
             color: #fff;
             border-color: #ff5252;
         }
+        /* Alternate sources */
+        #vwg_video_tab_content .vwg-video-sources,
+        #vwg_video_tab_content .vwg-video-tracks {
+            margin: 0;
+            padding: 0 10px;
+        }
+        #vwg_video_tab_content .vwg-video-source,
+        #vwg_video_tab_content .vwg-video-track {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin: 8px 0;
+        }
+        #vwg_video_tab_content .vwg-video-source-name,
+        #vwg_video_tab_content .vwg-video-track-name {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            font-size: 12px;
+        }
+        #vwg_video_tab_content .vwg-video-source select,
+        #vwg_video_tab_content .vwg-video-track select {
+            max-width: 110px;
+            font-size: 12px;
+        }
+        #vwg_video_tab_content .vwg-video-track input[type="text"] {
+            font-size: 12px;
+            padding: 0 4px;
+            min-height: 28px;
+        }
+        #vwg_video_tab_content .vwg-video-track .vwg-video-track-lang {
+            width: 48px;
+        }
+        #vwg_video_tab_content .vwg-video-track .vwg-video-track-label {
+            width: 80px;
+        }
+        #vwg_video_tab_content .vwg-video-playback {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 6px 10px;
+            padding: 8px 10px;
+        }
+        #vwg_video_tab_content .vwg-video-playback-option {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 6px;
+            font-size: 12px;
+        }
+        #vwg_video_tab_content .vwg-video-playback-option select {
+            max-width: 80px;
+            font-size: 12px;
+        }
+        #vwg_video_tab_content .vwg-video-hotspots {
+            padding: 0 10px 8px;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot-list {
+            margin: 0;
+            padding: 0;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+            margin: 8px 0;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #eee;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot input[type="text"] {
+            font-size: 12px;
+            padding: 0 4px;
+            min-height: 28px;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot .vwg-video-hotspot-time {
+            width: 56px;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot .vwg-video-hotspot-label {
+            flex: 1;
+            min-width: 80px;
+        }
+        #vwg_video_tab_content .vwg-video-hotspot select {
+            flex: 1;
+            min-width: 0;
+            font-size: 12px;
+        }
+        #vwg_video_tab_content .vwg-product-display-settings {
+            border-top: 1px solid #eee;
+            margin-top: 10px;
+        }
+        #vwg_video_tab_content .vwg-product-display-settings h4 {
+            margin: 12px;
+        }
+        #vwg_video_tab_content .vwg-remove-source,
+        #vwg_video_tab_content .vwg-remove-track,
+        #vwg_video_tab_content .vwg-remove-hotspot {
+            border: 0;
+            background: none;
+            color: #ff5252;
+            cursor: pointer;
+        }
         #vwg_video_tab_content .mejs-container {
             width: 100% !important;
             height: 100% !important;
@@ -841,7 +1531,8 @@ function vwg_add_video_upload_script() {
             }
 
             #vwg_video_tab_content #add_video_button,
-            #vwg_video_tab_content #add_youtube_button {
+            #vwg_video_tab_content #add_youtube_button,
+            #vwg_video_tab_content #add_stream_button {
                 width: 100%;
                 min-width: auto;
                 font-size: 14px;
@@ -856,7 +1547,8 @@ function vwg_add_video_upload_script() {
         
         /* Button styles */
         #vwg_video_tab_content #add_video_button,
-        #vwg_video_tab_content #add_youtube_button {
+        #vwg_video_tab_content #add_youtube_button,
+        #vwg_video_tab_content #add_stream_button {
             padding: 8px 16px;
             height: auto;
             border-radius: 6px;
@@ -1066,10 +1758,11 @@ function vwg_add_custom_style_and_scripts_product_page() {
             return; // Exit the function if $product is still not valid
         }
 
-        $iconColor = get_option('vwg_settings_group')['vwg_settings_icon_color'];
-        $icon = get_option('vwg_settings_group')['vwg_settings_icon'];
-        $adaptSettings = get_option('vwg_settings_group')['vwg_settings_video_adapt_sizes'];
-        $showFirstClassSettings = get_option('vwg_settings_group')['vwg_settings_show_first'];
+        $settings = vwg_get_settings($product->get_id());
+        $iconColor = $settings['vwg_settings_icon_color'];
+        $icon = $settings['vwg_settings_icon'];
+        $adaptSettings = $settings['vwg_settings_video_adapt_sizes'];
+        $showFirstClassSettings = $settings['vwg_settings_show_first'];
         $useDefaultAttrVariable = 0;
 
         // {{ ! }}
@@ -1112,6 +1805,11 @@ function vwg_add_custom_style_and_scripts_product_page() {
             .woocommerce div.product div.images .flex-control-thumbs li .vwg-video-wrapper {cursor: pointer;opacity: .5;margin: 0;}
             .woocommerce div.product div.images .flex-control-thumbs li .vwg-video-wrapper:hover, .woocommerce div.product div.images .flex-control-thumbs li .vwg-video-wrapper.flex-active {opacity: 1;}
 
+            /* Hosted videos (YouTube, Vimeo, ...) */
+            .woocommerce-product-gallery__vwg_video .vwg-embed-container { position: relative; width: 100%; background-color: #000; }
+            .woocommerce-product-gallery__vwg_video .vwg-embed-container iframe { position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: 0; }
+            .woocommerce-product-gallery__vwg_video .vwg-embed-container.vwg-embed-vertical { max-width: calc(80vh * 9 / 16); margin: 0 auto; }
+
             /* {{ ! }} */
 
             /*.woocommerce-product-gallery__image .woocommerce-product-gallery__vwg_video .video-js {*/
@@ -1170,112 +1868,6 @@ function vwg_add_custom_style_and_scripts_product_page() {
 
         <script>
             jQuery( document ).ready(function($) {
-                setInterval(function () {
-                    var isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent) || /apple/i.test(navigator.vendor);
-                    var $activeVideoSlide = jQuery('.woocommerce-product-gallery__image.is-selected .woocommerce-product-gallery__vwg_video')
-                    
-                        // Pause all inactive videos
-                        jQuery('.woocommerce-product-gallery__image').each(function() {
-                            var $slide = jQuery(this);
-                            var isActive = $slide.hasClass('flex-active-slide');
-                            var $video = $slide.find('.woocommerce-product-gallery__vwg_video video');
-                            
-                            if ($video.length > 0) {
-                                var videoId = $video.attr('id');
-                                var hasAutoplay = $video.attr('autoplay') !== undefined;
-                                var hasControls = $video.hasClass('.vjs-controls-enabled');
-
-                                // When video player is initialized
-                                if (typeof videojs !== 'undefined' && videoId) {
-                                    var player = videojs(videoId);
-
-                                    // Set user active/inactive state based on slide
-                                    if (isActive) {
-                                        player.options_.inactivityTimeout = 10000; // 10 seconds
-                                        player.userActive(true);
-                                    } else {
-                                        player.userActive(false);
-                                    }
-
-                                    if (!hasControls) {
-                                        jQuery($slide).on('click', function() {
-                                            if (player.paused()) {  
-                                                player.play();
-                                            } else {
-                                                player.pause();
-                                            }
-                                        });
-                                    } 
-    
-                                    if (hasAutoplay) {
-                                        // User became inactive (vjs-user-inactive class added)
-                                        player.on('userinactive', function() {
-                                            player.pause();
-                                        });
-    
-                                        // User became active (vjs-user-inactive class removed)
-                                        player.on('useractive', function() {
-                                            player.play();
-                                        });
-
-                                        // Video was paused
-                                        // player.on('pause', function() {
-                                        //     console.log('Video paused');
-                                        // });
-
-                                        // Video started playing
-                                        // player.on('play', function() {
-                                        //     console.log('Video playing');
-                                        // });
-                                    }
-                                }
-                            }
-                        });
-                    
-                    if ($activeVideoSlide.length > 0 ) {
-                        var vwg_video_ID = jQuery('.woocommerce-product-gallery__image.is-selected').attr('data-vwg-video')
-                        var vwg_video_isAutoPlay = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('autoplay')
-                        var vwg_video_loop = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('loop')
-                        var vwg_video_pause = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('pause')
-                        var vwg_user_pause = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('user_pause')
-                        var vwg_controls_enabled = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).hasClass('.vjs-controls-enabled')
-                        if (isSafari && vwg_video_isAutoPlay && !vwg_video_pause ) {
-                            var vwgPlayer = videojs(`vwg_video_js_${vwg_video_ID}`);
-                            if (vwg_video_loop) {
-                                if(vwg_controls_enabled) {
-                                    vwgPlayer.play();
-                                } else {
-                                    if (!vwg_user_pause) {
-                                        vwgPlayer.play();
-                                        // Listen for the 'pause' event to detect when the video is paused
-                                        vwgPlayer.on('pause', function () {
-                                            vwgPlayer.pause();
-                                            var posterUrl = vwgPlayer.poster();
-                                            if (posterUrl) {
-                                                var posterStyle = 'url("' + posterUrl + '")';
-                                                vwgPlayer.el().style.display = 'block';
-                                                vwgPlayer.el().style.backgroundImage = posterStyle;
-                                                vwgPlayer.el().style.backgroundSize = 'cover';
-                                                vwgPlayer.el().style.backgroundPosition = 'center';
-                                            }
-                                            $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('user_pause', 'true');
-                                        });
-                                    }
-                                }
-                            } else {
-                                vwgPlayer.play();
-                                vwgPlayer.on('ended', function () {
-                                    vwgPlayer.currentTime(0);
-                                    $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('pause', 'true');
-                                });
-                            }
-                        }
-                        jQuery('a[href="#product-zoom"]').hide()
-                    } else {
-                        jQuery('a[href="#product-zoom"]').show()
-                    }
-                }, 500); // Check every 0.5 seconds
-
                 /**
                  * Add function fix variable product with option video show first
                  *
@@ -1289,6 +1881,18 @@ function vwg_add_custom_style_and_scripts_product_page() {
                         setTimeout(function() {
                             // Handle found_variation event
                             $(document).on('found_variation', 'form.variations_form', function(event, variation) {
+                                // Variations with their own videos keep the first video; the gallery jumps to theirs
+                                if (variation && variation.vwg_videos && variation.vwg_videos.length) {
+                                    var $video_wrap = $('.images')
+                                        .find('.woocommerce-product-gallery__image.vwg_show_first, .woocommerce-product-gallery__image--placeholder.vwg_show_first')
+                                        .eq(0);
+
+                                    $video_wrap.find('div.vwg_video_js').show();
+                                    $video_wrap.find('a').find('img.vwg-test').remove();
+                                    $('.product-thumbnails .flickity-slider').find('div.col.first a i').show();
+                                    return;
+                                }
+
                                 // Modify first slide to show variation image
                                 if (variation && variation.image && variation.image.src) {
                                     var $product_gallery = $('.images');
@@ -1411,7 +2015,7 @@ function vwg_add_custom_style_and_scripts_product_page() {
                                     if (jQuery(this).parent('li').attr('use-default-att-variable') === 1 && jQuery(this).closest('.vwg-video-wrapper').length === 0) {
                                         jQuery(this).wrap(`<div class="vwg-video-wrapper"></div>`);
                                         // {{ ! }}
-                                        jQuery(this).closest('.vwg-video-wrapper').append('<i class="<?= esc_html($icon) ?>"></i>');
+                                        jQuery(this).closest('.vwg-video-wrapper').append('<i class="<?= esc_html($icon) ?>" aria-hidden="true"></i>');
                                     }
                                     jQuery(this).closest('.vwg-video-wrapper').css(`height`, `${li_height}px`)
                                 }
@@ -1422,7 +2026,7 @@ function vwg_add_custom_style_and_scripts_product_page() {
                                     var vwg_video_wrapper = jQuery(this).closest('.vwg-video-wrapper')
                                     if (vwg_video_wrapper.length === 0) {
                                         jQuery(this).wrap(`<div class="vwg-video-wrapper"></div>`);
-                                        jQuery(this).closest('.vwg-video-wrapper').append('<i class="<?= esc_html($icon) ?>"></i>');
+                                        jQuery(this).closest('.vwg-video-wrapper').append('<i class="<?= esc_html($icon) ?>" aria-hidden="true"></i>');
                                     }
                                     jQuery(this).closest('.vwg-video-wrapper').css(`height`, `${li_height}px`)
                                 }
@@ -1443,112 +2047,6 @@ function vwg_add_custom_style_and_scripts_product_page() {
                     });
                     // {{ ! }}
 
-                    setInterval(function () {
-                        var isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent) || /apple/i.test(navigator.vendor);
-                        var $activeVideoSlide = jQuery('.woocommerce-product-gallery__image.flex-active-slide .woocommerce-product-gallery__vwg_video')
-                        
-                        // Pause all inactive videos
-                        jQuery('.woocommerce-product-gallery__image').each(function() {
-                            var $slide = jQuery(this);
-                            var isActive = $slide.hasClass('flex-active-slide');
-                            var $video = $slide.find('.woocommerce-product-gallery__vwg_video video');
-                            
-                            if ($video.length > 0) {
-                                var videoId = $video.attr('id');
-                                var hasAutoplay = $video.attr('autoplay') !== undefined;
-                                var hasControls = $video.hasClass('.vjs-controls-enabled');
-
-                                // When video player is initialized
-                                if (typeof videojs !== 'undefined' && videoId) {
-                                    var player = videojs(videoId);
-
-                                    // Set user active/inactive state based on slide
-                                    if (isActive) {
-                                        player.options_.inactivityTimeout = 10000; // 10 seconds
-                                        player.userActive(true);
-                                    } else {
-                                        player.userActive(false);
-                                    }
-
-                                    if (!hasControls) {
-                                        jQuery($slide).on('click', function() {
-                                            if (player.paused()) {  
-                                                player.play();
-                                            } else {
-                                                player.pause();
-                                            }
-                                        });
-                                    } 
-    
-                                    if (hasAutoplay) {
-                                        // User became inactive (vjs-user-inactive class added)
-                                        player.on('userinactive', function() {
-                                            player.pause();
-                                        });
-    
-                                        // User became active (vjs-user-inactive class removed)
-                                        player.on('useractive', function() {
-                                            player.play();
-                                        });
-
-                                        // Video was paused
-                                        // player.on('pause', function() {
-                                        //     console.log('Video paused');
-                                        // });
-
-                                        // Video started playing
-                                        // player.on('play', function() {
-                                        //     console.log('Video playing');
-                                        // });
-                                    }
-                                }
-                            }
-                        });
-                        
-                        if ($activeVideoSlide.length > 0 ) {
-                            var vwg_video_ID = jQuery('.woocommerce-product-gallery__image.flex-active-slide').attr('data-vwg-video')
-                            var vwg_video_isAutoPlay = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('autoplay')
-                            var vwg_video_loop = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('loop')
-                            var vwg_video_pause = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('pause')
-                            var vwg_user_pause = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('user_pause')
-                            var vwg_controls_enabled = $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).hasClass('.vjs-controls-enabled')
-                            if (isSafari && vwg_video_isAutoPlay && !vwg_video_pause ) {
-                                var vwgPlayer = videojs(`vwg_video_js_${vwg_video_ID}`);
-                                if (vwg_video_loop) {
-                                    if(vwg_controls_enabled) {
-                                        vwgPlayer.play();
-                                    } else {
-                                        if (!vwg_user_pause) {
-                                            vwgPlayer.play();
-                                            // Listen for the 'pause' event to detect when the video is paused
-                                            vwgPlayer.on('pause', function () {
-                                                vwgPlayer.pause();
-                                                var posterUrl = vwgPlayer.poster();
-                                                if (posterUrl) {
-                                                    var posterStyle = 'url("' + posterUrl + '")';
-                                                    vwgPlayer.el().style.display = 'block';
-                                                    vwgPlayer.el().style.backgroundImage = posterStyle;
-                                                    vwgPlayer.el().style.backgroundSize = 'cover';
-                                                    vwgPlayer.el().style.backgroundPosition = 'center';
-                                                }
-                                                $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('user_pause', 'true');
-                                            });
-                                        }
-                                    }
-                                } else {
-                                    vwgPlayer.play();
-                                    vwgPlayer.on('ended', function () {
-                                        vwgPlayer.currentTime(0);
-                                        $activeVideoSlide.find(`#vwg_video_js_${vwg_video_ID}`).attr('pause', 'true');
-                                    });
-                                }
-                            }
-                            jQuery('.woocommerce-product-gallery__trigger').hide()
-                        } else {
-                            jQuery('.woocommerce-product-gallery__trigger').show()
-                        }
-                    }, 500); // Check every 0.5 seconds
-
                      /**
                      * Add function fix variable product with option video show first
                      *
@@ -1680,6 +2178,8 @@ function vwg_add_custom_style_and_scripts_product_page() {
             // {{ ! }}
             foreach ($video_urls as $video) :
                 $countVideo++;
+                $video = vwg_video_with_poster_fallback($video, $product);
+                $embed = vwg_get_embed_provider($video['video_url']);
                 ?>
                <script type="application/ld+json">
                     {
@@ -1688,8 +2188,12 @@ function vwg_add_custom_style_and_scripts_product_page() {
                     "name": "<?= esc_attr($product->get_name() . ' Video - ' . esc_attr($countVideo)) ?>",
                     "description": "<?= esc_attr($product->get_short_description()) ?>",
                     "thumbnailUrl": "<?=esc_url($video['video_thumb_url']) ?>",
+                    <?php if ($embed) : ?>
+                    "embedUrl": "<?=esc_url(vwg_get_embed_url($embed, array('controls' => true))) ?>",
+                    <?php else : ?>
                     "contentUrl": "<?=esc_url($video['video_url']) ?>",
-                    "encodingFormat": "video/mp4",
+                    "encodingFormat": "<?=esc_attr(vwg_get_video_source_type($video['video_url'], $video['video_mime'] ?? '')) ?>",
+                    <?php endif; ?>
                     "width": "<?=esc_attr($width) ?>",
                     "height": "<?=esc_attr($height) ?>",
                     "uploadDate": "<?=esc_attr(date('c', strtotime($product->get_date_created()->date('Y-m-d H:i:s')))) ?>",
@@ -1725,12 +2229,10 @@ function vwg_add_video_to_product_gallery() {
     $video_url = get_post_meta( $product->get_id(), 'vwg_video_url', true );
     $video_urls = maybe_unserialize($video_url);
     // $icon = get_option('vwg_settings_group')['vwg_settings_icon'];
-    $controls = get_option('vwg_settings_group')['vwg_settings_video_controls'];
-    $loop = get_option('vwg_settings_group')['vwg_settings_loop'];
-    $muted = get_option('vwg_settings_group')['vwg_settings_muted'];
-    $autoplay = get_option('vwg_settings_group')['vwg_settings_autoplay'];
-    $adaptClassSettings = get_option('vwg_settings_group')['vwg_settings_video_adapt_sizes'];
-    $showFirstClassSettings = get_option('vwg_settings_group')['vwg_settings_show_first'];
+    $settings = vwg_get_settings($product->get_id());
+    $adaptClassSettings = $settings['vwg_settings_video_adapt_sizes'];
+    $showFirstClassSettings = $settings['vwg_settings_show_first'];
+    $lazyLoad = !empty(get_option('vwg_settings_group')['vwg_settings_lazy_load']);
     $product_main_image =  wp_get_attachment_image_src($product->get_image_id(), 'woocommerce_single');
 
     if (is_array($product_main_image)) {
@@ -1746,6 +2248,13 @@ function vwg_add_video_to_product_gallery() {
         $adaptClass = 'vjs-fluid';
     }
 
+    // Lazy mode: poster only until the slide is shown. With playback limits
+    // the frontend decides, so nothing downloads before it knows the visitor's preferences.
+    $deferPlayback = $lazyLoad || vwg_has_playback_limits();
+    $preload = $deferPlayback ? 'none' : 'auto';
+    // Add to cart button of the end screen, 0 when the product has none.
+    $cartProductId = vwg_get_end_screen_cart_product_id($product);
+
     if ( $video_url ) {
         $countVideo = 0;
         $break_rule = vwg_get_video_limit();
@@ -1755,19 +2264,50 @@ function vwg_add_video_to_product_gallery() {
             if ($countVideo > $break_rule) {
                 break;
             }
+            $video = vwg_video_with_poster_fallback($video, $product);
+            $embed = vwg_get_embed_provider($video['video_url']);
+
+            // General playback settings with this video's overrides applied
+            $playback = vwg_get_video_playback($video);
+            $controls = $playback['controls'] ? 'controls' : '';
+            $loop = $playback['loop'] ? 'loop' : '';
+            $muted = $playback['muted'] ? 'muted' : '';
+            $autoplay = $playback['autoplay'] ? 'autoplay' : '';
+            // In lazy mode the native autoplay attribute would force a download,
+            // so autoplay is left to vwg-gallery-classic.js.
+            $autoplayAttr = $deferPlayback && !empty($autoplay) ? 'data-vwg-autoplay' : $autoplay;
+            // Shoppable hotspots are shown over Video.js players only.
+            $hotspots = $embed ? array() : vwg_get_video_hotspots($video, $product);
             ob_start();
             ?>
             <div data-thumb="<?=esc_url($video['video_thumb_url']) ?>"
                  data-woocommerce_gallery_thumbnail_url="<?=esc_url((isset($video['woocommerce_gallery_thumbnail_url']))?$video['woocommerce_gallery_thumbnail_url']:'') ?>"
                  data-woocommerce_thumbnail_url="<?=esc_url((isset($video['woocommerce_thumbnail_url']))?$video['woocommerce_thumbnail_url']:'') ?>"
-                 data-thumb-alt=""
+                 data-thumb-alt="<?=esc_attr(vwg_get_video_label($countVideo, $product)) ?>"
                  data-vwg-video="<?=esc_attr($countVideo) ?>"
+                 data-vwg-product-id="<?=esc_attr($product->get_id()) ?>"
+                 <?php if ($cartProductId) : ?>data-vwg-add-to-cart="<?=esc_attr($cartProductId) ?>"<?php endif; ?>
+                 <?php if (!empty($hotspots)) : ?>data-vwg-hotspots="<?=esc_attr(wp_json_encode($hotspots)) ?>"<?php endif; ?>
                  class="woocommerce-product-gallery__image <?php echo (isset($showFirstClassSettings) && $showFirstClassSettings == 1)?'vwg_show_first':''; ?>">
-                <a href="<?=esc_url($video['video_url']) ?>" class="woocommerce-product-gallery__vwg_video">
-                    <video id="vwg_video_js_<?=esc_attr($countVideo) ?>" class="video-js <?=esc_attr($adaptClass) ?> vwg_video_js" width="<?=esc_attr($width) ?>" height="<?=esc_attr($height) ?>" preload="auto" <?=esc_attr($controls) ?> <?=esc_attr($autoplay) ?> <?=esc_attr($loop) ?> <?=esc_attr($muted) ?> playsinline data-setup="{}" poster="<?=esc_url($video['video_thumb_url']) ?>" crossorigin="anonymous">
-                        <source src="<?=esc_url($video['video_url']) ?>" type="video/mp4" />
+                <?php if ($embed) : ?>
+                <a href="<?=esc_url($video['video_url']) ?>" class="woocommerce-product-gallery__vwg_video vwg-embed" tabindex="-1">
+                    <!-- The iframe is loaded by vwg-gallery-classic.js when the slide becomes active -->
+                    <div class="vwg-embed-container vwg-embed-<?=esc_attr($embed['name']) ?><?php echo $embed['vertical'] ? ' vwg-embed-vertical' : ''; ?>" style="aspect-ratio: <?=esc_attr(vwg_get_embed_aspect_ratio($embed)) ?>;">
+                        <iframe data-src="<?=esc_url(vwg_get_embed_url($embed, $playback)) ?>" data-autoplay-src="<?=esc_url(vwg_get_embed_url($embed, array_merge($playback, array('autoplay' => true)))) ?>" title="<?=esc_attr(sprintf(__('Product Video %d', 'video-wc-gallery'), $countVideo)) ?>" allow="autoplay; encrypted-media; fullscreen; picture-in-picture" allowfullscreen frameborder="0"></iframe>
+                    </div>
+                </a>
+                <?php else : ?>
+                <a href="<?=esc_url($video['video_url']) ?>" class="woocommerce-product-gallery__vwg_video" tabindex="-1">
+                    <video id="vwg_video_js_<?=esc_attr($countVideo) ?>" class="video-js <?=esc_attr($adaptClass) ?> vwg_video_js" width="<?=esc_attr($width) ?>" height="<?=esc_attr($height) ?>" preload="<?=esc_attr($preload) ?>" <?=esc_attr($controls) ?> <?=esc_attr($autoplayAttr) ?> <?=esc_attr($loop) ?> <?=esc_attr($muted) ?> playsinline data-setup="{}" poster="<?=esc_url($video['video_thumb_url']) ?>" crossorigin="anonymous">
+                        <?php foreach (vwg_get_video_sources($video) as $source) : ?>
+                        <source src="<?=esc_url($source['src']) ?>" type="<?=esc_attr($source['type']) ?>" />
+                        <?php endforeach; ?>
+                        <?php foreach (vwg_get_video_tracks($video) as $track) : ?>
+                        <track kind="<?=esc_attr($track['kind']) ?>" src="<?=esc_url($track['src']) ?>" srclang="<?=esc_attr($track['srclang']) ?>" label="<?=esc_attr($track['label']) ?>" />
+                        <?php endforeach; ?>
                     </video>
                 </a>
+                <?php endif; ?>
             </div>
         <?php
         $video_html .= ob_get_clean();
@@ -1775,19 +2315,40 @@ function vwg_add_video_to_product_gallery() {
         echo apply_filters('vwg_product_gallery_html', $video_html);
     }
 }
-if (isset($option['vwg_settings_show_first']) && $option['vwg_settings_show_first'] == 1) {
-    if (vwg_active_theme_checker() === 'default') {
-        add_action( 'vwg_woocommerce_product_thumbnails_first_show', 'vwg_add_video_to_product_gallery', 1 );
-    } elseif (vwg_active_theme_checker() === 'Flatsome') {
-        add_action( 'vwg_woocommerce_product_thumbnails_first_show_flatsome_theme', 'vwg_add_video_to_product_gallery', 1 );
+
+/**
+ * Add videos before the product images when "Show video first" is on for the product
+ *
+ * @since 2.6
+ */
+function vwg_add_video_to_product_gallery_first() {
+    if (vwg_is_video_first(vwg_get_current_product_id())) {
+        vwg_add_video_to_product_gallery();
+    }
+}
+if (vwg_active_theme_checker() === 'default') {
+    add_action( 'vwg_woocommerce_product_thumbnails_first_show', 'vwg_add_video_to_product_gallery_first', 1 );
+} elseif (vwg_active_theme_checker() === 'Flatsome') {
+    add_action( 'vwg_woocommerce_product_thumbnails_first_show_flatsome_theme', 'vwg_add_video_to_product_gallery_first', 1 );
+}
+
+/**
+ * Add videos after the product images when "Show video first" is off for the product
+ *
+ * @since 2.6
+ */
+function vwg_add_video_to_product_gallery_last() {
+    if (!vwg_is_video_first(vwg_get_current_product_id())) {
+        vwg_add_video_to_product_gallery();
     }
-} else {
-    add_action( 'woocommerce_product_thumbnails', 'vwg_add_video_to_product_gallery', 99 );
 }
+add_action( 'woocommerce_product_thumbnails', 'vwg_add_video_to_product_gallery_last', 99 );
 
 
 /**
- * Enqueue JS - if theme not support wc-product-gallery-zoom
+ * Enqueue JS - replace the WooCommerce slider and gallery scripts on products with videos
+ *
+ * The overridden gallery script keeps the theme's zoom support and adds videos to the lightbox.
  *
  * @since 1.39
  */
@@ -1818,45 +2379,43 @@ function vwg_enqueue_overwrite_scripts() {
         wp_dequeue_script('flexslider');
         wp_enqueue_script('vwg-flexslider', VWG_VIDEO_WOO_GALLERY_URL . 'woocommerce-overwrite/assets/js/flexslider/jquery.flexslider.js',  array('jquery'), VWG_VERSION_NUM, true);
 
-        if (!current_theme_supports('wc-product-gallery-zoom')) {
-            wp_dequeue_script('wc-single-product');
-            wp_enqueue_script('vwg-single-product', VWG_VIDEO_WOO_GALLERY_URL . 'woocommerce-overwrite/assets/js/frontend/single-product.js',  array('jquery'), VWG_VERSION_NUM, true);
-
-            $params = array(
-                'i18n_required_rating_text' => esc_attr__( 'Please select a rating', 'woocommerce' ),
-                'review_rating_required'    => wc_review_ratings_required() ? 'yes' : 'no',
-                'flexslider'                => apply_filters(
-                    'woocommerce_single_product_carousel_options',
-                    array(
-                        'rtl'            => is_rtl(),
-                        'animation'      => 'slide',
-                        'smoothHeight'   => true,
-                        'directionNav'   => false,
-                        'controlNav'     => 'thumbnails',
-                        'slideshow'      => false,
-                        'animationSpeed' => 500,
-                        'animationLoop'  => false, // Breaks photoswipe pagination if true.
-                        'allowOneSlide'  => false,
-                    )
-                ),
-                'zoom_enabled'              => apply_filters( 'woocommerce_single_product_zoom_enabled', get_theme_support( 'wc-product-gallery-zoom' ) ),
-                'zoom_options'              => apply_filters( 'woocommerce_single_product_zoom_options', array() ),
-                'photoswipe_enabled'        => apply_filters( 'woocommerce_single_product_photoswipe_enabled', get_theme_support( 'wc-product-gallery-lightbox' ) ),
-                'photoswipe_options'        => apply_filters(
-                    'woocommerce_single_product_photoswipe_options',
-                    array(
-                        'shareEl'               => false,
-                        'closeOnScroll'         => false,
-                        'history'               => false,
-                        'hideAnimationDuration' => 0,
-                        'showAnimationDuration' => 0,
-                    )
-                ),
-                'flexslider_enabled'        => apply_filters( 'woocommerce_single_product_flexslider_enabled', get_theme_support( 'wc-product-gallery-slider' ) ),
-            );
-
-            wp_localize_script( 'vwg-single-product', 'wc_single_product_params', $params );
-        }
+        wp_dequeue_script('wc-single-product');
+        wp_enqueue_script('vwg-single-product', VWG_VIDEO_WOO_GALLERY_URL . 'woocommerce-overwrite/assets/js/frontend/single-product.js',  array('jquery'), VWG_VERSION_NUM, true);
+
+        $params = array(
+            'i18n_required_rating_text' => esc_attr__( 'Please select a rating', 'woocommerce' ),
+            'review_rating_required'    => wc_review_ratings_required() ? 'yes' : 'no',
+            'flexslider'                => apply_filters(
+                'woocommerce_single_product_carousel_options',
+                array(
+                    'rtl'            => is_rtl(),
+                    'animation'      => 'slide',
+                    'smoothHeight'   => true,
+                    'directionNav'   => false,
+                    'controlNav'     => 'thumbnails',
+                    'slideshow'      => false,
+                    'animationSpeed' => 500,
+                    'animationLoop'  => false, // Breaks photoswipe pagination if true.
+                    'allowOneSlide'  => false,
+                )
+            ),
+            'zoom_enabled'              => apply_filters( 'woocommerce_single_product_zoom_enabled', get_theme_support( 'wc-product-gallery-zoom' ) ),
+            'zoom_options'              => apply_filters( 'woocommerce_single_product_zoom_options', array() ),
+            'photoswipe_enabled'        => apply_filters( 'woocommerce_single_product_photoswipe_enabled', get_theme_support( 'wc-product-gallery-lightbox' ) ),
+            'photoswipe_options'        => apply_filters(
+                'woocommerce_single_product_photoswipe_options',
+                array(
+                    'shareEl'               => false,
+                    'closeOnScroll'         => false,
+                    'history'               => false,
+                    'hideAnimationDuration' => 0,
+                    'showAnimationDuration' => 0,
+                )
+            ),
+            'flexslider_enabled'        => apply_filters( 'woocommerce_single_product_flexslider_enabled', get_theme_support( 'wc-product-gallery-slider' ) ),
+        );
+
+        wp_localize_script( 'vwg-single-product', 'wc_single_product_params', $params );
     }
 }
 add_action('wp_enqueue_scripts', 'vwg_enqueue_overwrite_scripts', 20);
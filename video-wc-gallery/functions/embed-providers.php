@@ -0,0 +1,296 @@
+<?php
+/**
+ * Embed providers
+ *
+ * Registry of hosted video services (YouTube, Vimeo, Wistia, Dailymotion)
+ * that are shown as iframes instead of Video.js players. The same
+ * definitions are passed to the frontend as window.vwgEmbedProviders, so
+ * vwg-core.js matches URLs and builds embed URLs exactly like PHP does.
+ *
+ * Each provider is an array with:
+ *
+ *   label        Human readable name.
+ *   pattern      Regular expression matched against the video URL, written
+ *                so that it works in both PHP (PCRE) and JavaScript. The
+ *                first capture group is the video ID.
+ *   embed_url    Embed URL; {id} is replaced with the video ID.
+ *   params       Query string always added to the embed URL.
+ *   autoplay     Query string added when autoplay is on.
+ *   muted        Query string added when the video is muted.
+ *   loop         Query string added when looping is on.
+ *   no_controls  Query string added when player controls are hidden.
+ *   start        Query string for a start offset; {start} is replaced with seconds.
+ *   end          Query string for an end offset; {end} is replaced with seconds.
+ *   aspect_ratio Width / height of the player, e.g. "16:9".
+ *   vertical     Regular expression for URLs of vertical (9:16) videos,
+ *                e.g. YouTube Shorts.
+ *
+ * Themes and plugins can add or change providers through the
+ * 'vwg_embed_providers' filter.
+ *
+ * With "Ask before loading hosted videos" enabled, the frontend shows a
+ * poster with a play button instead of the iframe until the visitor clicks
+ * it or consent is given (see vwg_get_embed_consent_settings()).
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Get the registered embed providers.
+ *
+ * @since 2.6
+ * @return array Provider name => provider definition.
+ */
+function vwg_get_embed_providers() {
+    $option = get_option( 'vwg_settings_group' );
+
+    $providers = array(
+        'youtube'     => array(
+            'label'        => 'YouTube',
+            'pattern'      => '(?:youtube(?:-nocookie)?\.com/(?:watch\?(?:.*&)?v=|embed/|shorts/)|youtu\.be/)([A-Za-z0-9_-]+)',
+            // Privacy-enhanced mode: no cookies until the visitor plays the video.
+            'embed_url'    => ! empty( $option['vwg_settings_youtube_nocookie'] ) ? 'https://www.youtube-nocookie.com/embed/{id}' : 'https://www.youtube.com/embed/{id}',
+            'params'       => 'enablejsapi=1',
+            'autoplay'     => 'autoplay=1',
+            'muted'        => 'mute=1',
+            'loop'         => 'loop=1&playlist={id}',
+            'no_controls'  => 'controls=0',
+            'start'        => 'start={start}',
+            'end'          => 'end={end}',
+            'aspect_ratio' => '16:9',
+            'vertical'     => 'youtube\.com/shorts/',
+        ),
+        'vimeo'       => array(
+            'label'        => 'Vimeo',
+            'pattern'      => 'vimeo\.com/(?:video/|channels/[^/]+/|groups/[^/]+/videos/)?([0-9]+)',
+            'embed_url'    => 'https://player.vimeo.com/video/{id}',
+            'params'       => 'dnt=1',
+            'autoplay'     => 'autoplay=1',
+            'muted'        => 'muted=1',
+            'loop'         => 'loop=1',
+            'no_controls'  => 'controls=0',
+            'aspect_ratio' => '16:9',
+        ),
+        'wistia'      => array(
+            'label'        => 'Wistia',
+            'pattern'      => '(?:wistia\.(?:com|net)/(?:medias|embed/iframe)/|wi\.st/medias/)([A-Za-z0-9]+)',
+            'embed_url'    => 'https://fast.wistia.net/embed/iframe/{id}',
+            'params'       => '',
+            'autoplay'     => 'autoPlay=true',
+            'muted'        => 'muted=true',
+            'loop'         => 'endVideoBehavior=loop',
+            'no_controls'  => 'controlsVisibleOnLoad=false&playbar=false',
+            'aspect_ratio' => '16:9',
+        ),
+        'dailymotion' => array(
+            'label'        => 'Dailymotion',
+            'pattern'      => '(?:dailymotion\.com/(?:embed/)?video/|dai\.ly/)([A-Za-z0-9]+)',
+            'embed_url'    => 'https://www.dailymotion.com/embed/video/{id}',
+            'params'       => '',
+            'autoplay'     => 'autoplay=1',
+            'muted'        => 'mute=1',
+            'loop'         => 'loop=1',
+            'no_controls'  => 'controls=0',
+            'start'        => 'start={start}',
+            'aspect_ratio' => '16:9',
+        ),
+    );
+
+    return apply_filters( 'vwg_embed_providers', $providers );
+}
+
+/**
+ * Find the embed provider for a video URL.
+ *
+ * @since 2.6
+ * Timestamps in the URL (t=, start= and end=, e.g. "?t=1m30s") are
+ * returned as 'start' and 'end' in seconds, 0 when not set.
+ *
+ * @param string $url The video URL.
+ * @return array|null array( 'name', 'id', 'provider', 'start', 'end', 'vertical' ) or null for self-hosted videos.
+ */
+function vwg_get_embed_provider( $url ) {
+    if ( empty( $url ) ) {
+        return null;
+    }
+
+    foreach ( vwg_get_embed_providers() as $name => $provider ) {
+        if ( empty( $provider['pattern'] ) ) {
+            continue;
+        }
+
+        if ( preg_match( '#' . str_replace( '#', '\#', $provider['pattern'] ) . '#i', $url, $matches ) && ! empty( $matches[1] ) ) {
+            $time = vwg_get_embed_time_params( $url );
+
+            return array(
+                'name'     => $name,
+                'id'       => $matches[1],
+                'provider' => $provider,
+                'start'    => $time['start'],
+                'end'      => $time['end'],
+                'vertical' => ! empty( $provider['vertical'] ) && preg_match( '#' . str_replace( '#', '\#', $provider['vertical'] ) . '#i', $url ),
+            );
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert a URL timestamp to seconds: "90", "90s", "1m30s" or "1h2m3s".
+ *
+ * @since 2.6
+ * @param string $value The timestamp.
+ * @return int Seconds, 0 when the value is not a timestamp.
+ */
+function vwg_parse_embed_time( $value ) {
+    $value = strtolower( trim( (string) $value ) );
+
+    if ( preg_match( '/^\d+$/', $value ) ) {
+        return (int) $value;
+    }
+
+    if ( '' === $value || ! preg_match( '/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/', $value, $matches ) ) {
+        return 0;
+    }
+
+    return (int) ( $matches[1] ?? 0 ) * 3600 + (int) ( $matches[2] ?? 0 ) * 60 + (int) ( $matches[3] ?? 0 );
+}
+
+/**
+ * Read the start and end offsets from a hosted video URL.
+ *
+ * Both the query string and the fragment are checked, so "?t=42",
+ * "&start=42&end=60" and "#t=1m" all work.
+ *
+ * @since 2.6
+ * @param string $url The video URL.
+ * @return array array( 'start' => seconds, 'end' => seconds ).
+ */
+function vwg_get_embed_time_params( $url ) {
+    $params = array();
+    parse_str( (string) wp_parse_url( $url, PHP_URL_FRAGMENT ), $fragment );
+    parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $params );
+    $params = array_merge( $fragment, $params );
+
+    return array(
+        'start' => vwg_parse_embed_time( $params['start'] ?? ( $params['t'] ?? '' ) ),
+        'end'   => vwg_parse_embed_time( $params['end'] ?? '' ),
+    );
+}
+
+/**
+ * Build the embed URL for a hosted video.
+ *
+ * @since 2.6
+ * @param array $embed   Result of vwg_get_embed_provider().
+ * @param array $options Playback options: 'autoplay', 'muted', 'loop', 'controls' (booleans).
+ * @return string The embed URL.
+ */
+function vwg_get_embed_url( $embed, $options ) {
+    $provider = $embed['provider'];
+    $query    = array();
+
+    if ( ! empty( $provider['params'] ) ) {
+        $query[] = $provider['params'];
+    }
+    if ( ! empty( $options['autoplay'] ) && ! empty( $provider['autoplay'] ) ) {
+        $query[] = $provider['autoplay'];
+    }
+    if ( ! empty( $options['muted'] ) && ! empty( $provider['muted'] ) ) {
+        $query[] = $provider['muted'];
+    }
+    if ( ! empty( $options['loop'] ) && ! empty( $provider['loop'] ) ) {
+        $query[] = $provider['loop'];
+    }
+    if ( empty( $options['controls'] ) && ! empty( $provider['no_controls'] ) ) {
+        $query[] = $provider['no_controls'];
+    }
+    if ( ! empty( $embed['start'] ) && ! empty( $provider['start'] ) ) {
+        $query[] = str_replace( '{start}', absint( $embed['start'] ), $provider['start'] );
+    }
+    if ( ! empty( $embed['end'] ) && ! empty( $provider['end'] ) ) {
+        $query[] = str_replace( '{end}', absint( $embed['end'] ), $provider['end'] );
+    }
+
+    $url = $provider['embed_url'];
+    if ( ! empty( $query ) ) {
+        $url .= ( false === strpos( $url, '?' ) ? '?' : '&' ) . implode( '&', $query );
+    }
+
+    return str_replace( '{id}', rawurlencode( $embed['id'] ), $url );
+}
+
+/**
+ * Get the CSS aspect-ratio value of an embed, e.g. "16 / 9", or "9 / 16"
+ * for vertical videos.
+ *
+ * @since 2.6
+ * @param array $embed Result of vwg_get_embed_provider().
+ * @return string CSS aspect ratio.
+ */
+function vwg_get_embed_aspect_ratio( $embed ) {
+    $ratio = explode( ':', ! empty( $embed['vertical'] ) ? '9:16' : ( $embed['provider']['aspect_ratio'] ?? '16:9' ) );
+
+    return absint( $ratio[0] ?? 16 ) . ' / ' . absint( $ratio[1] ?? 9 );
+}
+
+/**
+ * Get the consent settings for hosted videos.
+ *
+ * 'required' turns on the click-to-load poster. 'cookie' is a cookie name
+ * and 'callback' a global function or property path (e.g.
+ * "Cookiebot.consent.marketing"); when either is set and truthy, hosted
+ * videos load without a click. Consent management plugins can also call
+ * VWG.grantConsent() once the visitor accepts.
+ *
+ * @since 2.6
+ * @return array array( 'required', 'cookie', 'callback' ).
+ */
+function vwg_get_embed_consent_settings() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return apply_filters( 'vwg_embed_consent_settings', array(
+        'required' => ! empty( $option['vwg_settings_embed_consent'] ),
+        'cookie'   => $option['vwg_settings_consent_cookie'] ?? '',
+        'callback' => $option['vwg_settings_consent_callback'] ?? '',
+    ) );
+}
+
+/**
+ * Pass the provider registry and consent settings to the frontend.
+ *
+ * @since 2.6
+ */
+function vwg_localize_embed_providers() {
+    if ( ! wp_script_is( 'vwg-core', 'enqueued' ) ) {
+        return;
+    }
+
+    $providers = array();
+    foreach ( vwg_get_embed_providers() as $name => $provider ) {
+        $providers[ $name ] = array_intersect_key( $provider, array_flip( array( 'label', 'pattern', 'embed_url', 'params', 'autoplay', 'muted', 'loop', 'no_controls', 'start', 'end', 'aspect_ratio', 'vertical' ) ) );
+    }
+
+    wp_localize_script( 'vwg-core', 'vwgEmbedProviders', $providers );
+
+    $consent = vwg_get_embed_consent_settings();
+    wp_localize_script( 'vwg-core', 'vwgEmbedConsent', array(
+        'required' => (bool) $consent['required'],
+        'cookie'   => $consent['cookie'],
+        'callback' => $consent['callback'],
+        /* translators: %s: video service name, e.g. YouTube */
+        'notice'   => __( 'This video is hosted by %s. Playing it loads content from their servers, which may set cookies.', 'video-wc-gallery' ),
+        'play'     => __( 'Play video', 'video-wc-gallery' ),
+    ) );
+
+    if ( $consent['required'] ) {
+        wp_enqueue_style( 'vwg-embed-consent', VWG_VIDEO_WOO_GALLERY_URL . 'includes/css/vwg-embed-consent.css', array(), VWG_VERSION_NUM );
+    }
+}
+add_action( 'wp_enqueue_scripts', 'vwg_localize_embed_providers', 20 );
@@ -0,0 +1,56 @@
+<?php
+/**
+ * Video end screen
+ *
+ * With "End screen" enabled, a self-hosted video that finishes without
+ * looping shows an overlay over its Video.js player with Replay and Next
+ * video buttons and, for simple products that can be bought right away, an
+ * Add to cart button. The overlay is built by VWG.bindEndScreen() and looks
+ * the same in the classic gallery and the Product Gallery block.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Get the end screen settings.
+ *
+ * @since 2.6
+ * @return array array( 'enabled', 'add_to_cart' ) as booleans.
+ */
+function vwg_get_end_screen_settings() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return apply_filters( 'vwg_end_screen_settings', array(
+        'enabled'     => ! empty( $option['vwg_settings_end_screen'] ),
+        'add_to_cart' => ! empty( $option['vwg_settings_end_screen_cart'] ),
+    ) );
+}
+
+/**
+ * Get the product the end screen's Add to cart button adds.
+ *
+ * Only simple products that are purchasable and in stock get the button;
+ * other products need options chosen in the product form first.
+ *
+ * @since 2.6
+ * @param WC_Product $product The product the videos belong to.
+ * @return int The product ID, or 0 for no Add to cart button.
+ */
+function vwg_get_end_screen_cart_product_id( $product ) {
+    $settings = vwg_get_end_screen_settings();
+
+    if ( ! $settings['enabled'] || ! $settings['add_to_cart'] || ! $product ) {
+        return 0;
+    }
+
+    if ( ! $product->is_type( 'simple' ) || ! $product->is_purchasable() || ! $product->is_in_stock() ) {
+        return 0;
+    }
+
+    return $product->get_id();
+}
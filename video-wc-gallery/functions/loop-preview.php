@@ -0,0 +1,126 @@
+<?php
+/**
+ * Shop loop video previews
+ *
+ * With "Video preview on shop pages" enabled, product cards on the shop,
+ * category, related and upsell lists get the product's first self-hosted
+ * video over their thumbnail. vwg-loop-preview.js plays it muted and
+ * looping while the shopper hovers the card, or while the card is in view
+ * on touch screens. Hosted videos (YouTube, Vimeo, ...) and HLS/DASH
+ * streams are skipped, as a plain <video> element cannot play them.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Check if shop loop video previews are turned on.
+ *
+ * @since 2.6
+ * @return bool True when "Video preview on shop pages" is on.
+ */
+function vwg_is_loop_preview_enabled() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return (bool) apply_filters( 'vwg_loop_preview_enabled', ! empty( $option['vwg_settings_loop_preview'] ) );
+}
+
+/**
+ * Get the video previewed on a product's loop card.
+ *
+ * @since 2.6
+ * @param WC_Product $product The product.
+ * @return array|null array( 'sources', 'poster' ), or null when the product has no video to preview.
+ */
+function vwg_get_loop_preview_video( $product ) {
+    $preview = null;
+    $videos  = $product ? maybe_unserialize( get_post_meta( $product->get_id(), 'vwg_video_url', true ) ) : array();
+
+    if ( ! empty( $videos ) && is_array( $videos ) ) {
+        foreach ( array_slice( $videos, 0, vwg_get_video_limit() ) as $video ) {
+            if ( empty( $video['video_url'] ) || vwg_get_embed_provider( $video['video_url'] ) ) {
+                continue;
+            }
+
+            $sources = array();
+            foreach ( vwg_get_video_sources( $video ) as $source ) {
+                if ( ! vwg_is_streaming_source_type( $source['type'] ) ) {
+                    $sources[] = $source;
+                }
+            }
+            if ( empty( $sources ) ) {
+                continue;
+            }
+
+            // The loop card size is generated when the video is saved; older videos only have the single size.
+            $video   = vwg_video_with_poster_fallback( $video, $product );
+            $preview = array(
+                'sources' => $sources,
+                'poster'  => ! empty( $video['woocommerce_thumbnail_url'] ) ? $video['woocommerce_thumbnail_url'] : $video['video_thumb_url'],
+            );
+            break;
+        }
+    }
+
+    return apply_filters( 'vwg_loop_preview_video', $preview, $product );
+}
+
+/**
+ * Open the wrapper around the loop card thumbnail.
+ *
+ * @since 2.6
+ */
+function vwg_loop_preview_open() {
+    global $product;
+
+    if ( vwg_is_loop_preview_enabled() && vwg_get_loop_preview_video( $product ) ) {
+        echo '<div class="vwg-loop-preview">';
+    }
+}
+add_action( 'woocommerce_before_shop_loop_item_title', 'vwg_loop_preview_open', 9 );
+
+/**
+ * Add the preview video after the loop card thumbnail and close the wrapper.
+ *
+ * @since 2.6
+ */
+function vwg_loop_preview_close() {
+    global $product;
+
+    $preview = vwg_is_loop_preview_enabled() ? vwg_get_loop_preview_video( $product ) : null;
+    if ( ! $preview ) {
+        return;
+    }
+
+    vwg_enqueue_loop_preview_scripts();
+    ?>
+    <!-- Decorative preview; preload="none" downloads nothing until vwg-loop-preview.js plays it -->
+    <video class="vwg-loop-preview__video" muted loop playsinline preload="none" poster="<?php echo esc_url( $preview['poster'] ); ?>" aria-hidden="true" tabindex="-1">
+        <?php foreach ( $preview['sources'] as $source ) : ?>
+        <source src="<?php echo esc_url( $source['src'] ); ?>" type="<?php echo esc_attr( $source['type'] ); ?>" />
+        <?php endforeach; ?>
+    </video>
+    </div>
+    <?php
+}
+add_action( 'woocommerce_before_shop_loop_item_title', 'vwg_loop_preview_close', 11 );
+
+/**
+ * Enqueue the loop preview script and styles. Called the first time a loop
+ * card gets a preview, so pages without previews load nothing.
+ *
+ * @since 2.6
+ */
+function vwg_enqueue_loop_preview_scripts() {
+    if ( wp_script_is( 'vwg-loop-preview', 'enqueued' ) ) {
+        return;
+    }
+
+    vwg_enqueue_core_script();
+    wp_enqueue_style( 'vwg-loop-preview', VWG_VIDEO_WOO_GALLERY_URL . 'includes/css/vwg-loop-preview.css', array(), VWG_VERSION_NUM );
+    wp_enqueue_script( 'vwg-loop-preview', VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-loop-preview.js', array( 'vwg-core' ), VWG_VERSION_NUM, true );
+}
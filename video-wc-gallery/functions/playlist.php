@@ -0,0 +1,35 @@
+<?php
+/**
+ * Playlist mode
+ *
+ * With "Playlist mode" enabled, a self-hosted video that finishes without
+ * looping shows a short "Up next" countdown, after which the gallery moves
+ * on to the next slide and plays it when it is a video. With "Skip images
+ * in playlist mode" the gallery moves straight to the next video. The
+ * countdown is built by VWG.bindUpNext() and looks the same in the classic
+ * gallery and the Product Gallery block. The last video ends the playlist.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Get the playlist mode settings.
+ *
+ * @since 2.6
+ * @return array array( 'enabled', 'skip_images' ) as booleans and 'countdown' in seconds.
+ */
+function vwg_get_playlist_settings() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return apply_filters( 'vwg_playlist_settings', array(
+        'enabled'     => ! empty( $option['vwg_settings_playlist'] ),
+        'skip_images' => ! empty( $option['vwg_settings_playlist_skip_images'] ),
+        // Seconds the "Up next" countdown runs before moving on; 0 moves on right away.
+        'countdown'   => 5,
+    ) );
+}
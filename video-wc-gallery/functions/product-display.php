@@ -0,0 +1,215 @@
+<?php
+/**
+ * Per-product display settings
+ *
+ * "Show video first", "Adjust the video size", the play icon and the icon
+ * colour are general settings (vwg_settings_group). A product can override
+ * them from the "Display settings for this product" panel in its video tab;
+ * the overrides are stored in the vwg_display_settings meta. Code that
+ * renders a product's gallery reads vwg_get_settings( $product_id ) instead
+ * of the raw option, so the overrides apply everywhere.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Play icons offered in the settings.
+ *
+ * @since 2.6
+ * @return array Icon class => label.
+ */
+function vwg_get_video_icons() {
+    return array(
+        'far fa-play-circle' => __( 'Play circle', 'video-wc-gallery' ),
+        'fas fa-play-circle' => __( 'Play circle (solid)', 'video-wc-gallery' ),
+        'fas fa-play'        => __( 'Play', 'video-wc-gallery' ),
+        'fas fa-video'       => __( 'Video camera', 'video-wc-gallery' ),
+        'fas fa-file-video'  => __( 'Video file (solid)', 'video-wc-gallery' ),
+        'far fa-file-video'  => __( 'Video file', 'video-wc-gallery' ),
+    );
+}
+
+/**
+ * Map of per-product overrides to the general settings they replace.
+ *
+ * @since 2.6
+ * @return array Override key => vwg_settings_group key.
+ */
+function vwg_get_product_display_setting_keys() {
+    return array(
+        'show_first'  => 'vwg_settings_show_first',
+        'adapt_sizes' => 'vwg_settings_video_adapt_sizes',
+        'icon'        => 'vwg_settings_icon',
+        'icon_color'  => 'vwg_settings_icon_color',
+    );
+}
+
+/**
+ * Sanitize the display overrides posted from the product video tab.
+ *
+ * 'show_first' and 'adapt_sizes' are '1' (on) or '0' (off); 'icon' is one
+ * of vwg_get_video_icons() and 'icon_color' a hex colour. Empty values use
+ * the general settings and are left out.
+ *
+ * @since 2.6
+ * @param array $settings Posted overrides.
+ * @return array Overrides that are set.
+ */
+function vwg_sanitize_product_display_settings( $settings ) {
+    $sanitized = array();
+
+    if ( ! is_array( $settings ) ) {
+        return $sanitized;
+    }
+
+    foreach ( array( 'show_first', 'adapt_sizes' ) as $key ) {
+        if ( isset( $settings[ $key ] ) && in_array( $settings[ $key ], array( '0', '1' ), true ) ) {
+            $sanitized[ $key ] = $settings[ $key ];
+        }
+    }
+
+    if ( isset( $settings['icon'] ) && array_key_exists( $settings['icon'], vwg_get_video_icons() ) ) {
+        $sanitized['icon'] = $settings['icon'];
+    }
+
+    $icon_color = isset( $settings['icon_color'] ) ? sanitize_hex_color( $settings['icon_color'] ) : '';
+    if ( ! empty( $icon_color ) ) {
+        $sanitized['icon_color'] = $icon_color;
+    }
+
+    return $sanitized;
+}
+
+/**
+ * Get the display overrides of a product.
+ *
+ * @since 2.6
+ * @param int $product_id The product ID.
+ * @return array Overrides that are set.
+ */
+function vwg_get_product_display_settings( $product_id ) {
+    if ( empty( $product_id ) ) {
+        return array();
+    }
+
+    return vwg_sanitize_product_display_settings( get_post_meta( $product_id, 'vwg_display_settings', true ) );
+}
+
+/**
+ * Get the general settings with a product's display overrides applied.
+ *
+ * @since 2.6
+ * @param int $product_id The product ID, or 0 for the general settings.
+ * @return array The vwg_settings_group option with the effective values.
+ */
+function vwg_get_settings( $product_id = 0 ) {
+    $settings = get_option( 'vwg_settings_group' );
+    if ( ! is_array( $settings ) ) {
+        $settings = array();
+    }
+
+    $keys = vwg_get_product_display_setting_keys();
+    foreach ( vwg_get_product_display_settings( $product_id ) as $key => $value ) {
+        // On/off overrides use the '1' / '' values of the general settings.
+        $settings[ $keys[ $key ] ] = '0' === $value ? '' : $value;
+    }
+
+    return apply_filters( 'vwg_settings', $settings, $product_id );
+}
+
+/**
+ * Get the ID of the product being rendered.
+ *
+ * @since 2.6
+ * @return int The product ID, or 0 outside a product.
+ */
+function vwg_get_current_product_id() {
+    global $product;
+
+    if ( is_object( $product ) && method_exists( $product, 'get_id' ) ) {
+        return $product->get_id();
+    }
+
+    return is_singular( 'product' ) ? get_the_ID() : 0;
+}
+
+/**
+ * Check if videos are shown before the images for a product.
+ *
+ * @since 2.6
+ * @param int $product_id The product ID.
+ * @return bool True when "Show video first" is on for the product.
+ */
+function vwg_is_video_first( $product_id ) {
+    $settings = vwg_get_settings( $product_id );
+
+    return isset( $settings['vwg_settings_show_first'] ) && $settings['vwg_settings_show_first'] == 1;
+}
+
+/**
+ * Render the display overrides panel in the product video tab.
+ *
+ * @since 2.6
+ * @param int $product_id The product ID.
+ */
+function vwg_render_product_display_settings( $product_id ) {
+    $display  = vwg_get_product_display_settings( $product_id );
+    $toggles  = array(
+        'show_first'  => __( 'Show video first in product gallery', 'video-wc-gallery' ),
+        'adapt_sizes' => __( 'Adjust the video size according to the theme settings', 'video-wc-gallery' ),
+    );
+    ?>
+    <div class="vwg-product-display-settings">
+        <h4><?php echo esc_html__('Display settings for this product', 'video-wc-gallery'); ?></h4>
+        <?php foreach ($toggles as $key => $label) : ?>
+        <p class="form-field">
+            <label for="vwg_display_settings_<?php echo esc_attr($key); ?>"><?php echo esc_html($label); ?></label>
+            <select id="vwg_display_settings_<?php echo esc_attr($key); ?>" name="vwg_display_settings[<?php echo esc_attr($key); ?>]">
+                <option value=""><?php echo esc_html__('Default', 'video-wc-gallery'); ?></option>
+                <option value="1" <?php selected($display[$key] ?? '', '1'); ?>><?php echo esc_html__('On', 'video-wc-gallery'); ?></option>
+                <option value="0" <?php selected($display[$key] ?? '', '0'); ?>><?php echo esc_html__('Off', 'video-wc-gallery'); ?></option>
+            </select>
+        </p>
+        <?php endforeach; ?>
+        <p class="form-field">
+            <label for="vwg_display_settings_icon"><?php echo esc_html__('Play icon', 'video-wc-gallery'); ?></label>
+            <select id="vwg_display_settings_icon" name="vwg_display_settings[icon]">
+                <option value=""><?php echo esc_html__('Default', 'video-wc-gallery'); ?></option>
+                <?php foreach (vwg_get_video_icons() as $icon => $icon_label) : ?>
+                <option value="<?php echo esc_attr($icon); ?>" <?php selected($display['icon'] ?? '', $icon); ?>><?php echo esc_html($icon_label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </p>
+        <p class="form-field">
+            <label for="vwg_display_settings_icon_color"><?php echo esc_html__('Icon color', 'video-wc-gallery'); ?></label>
+            <input type="text" id="vwg_display_settings_icon_color" class="vwg-display-icon-color" name="vwg_display_settings[icon_color]" value="<?php echo esc_attr($display['icon_color'] ?? ''); ?>" placeholder="<?php echo esc_attr__('Default', 'video-wc-gallery'); ?>">
+        </p>
+    </div>
+    <?php
+}
+
+/**
+ * Save the display overrides of a product.
+ *
+ * @since 2.6
+ * @param int $post_id The product ID.
+ */
+function vwg_save_product_display_settings( $post_id ) {
+    if ( ! isset( $_POST['vwg_display_settings'] ) ) {
+        return;
+    }
+
+    $display = vwg_sanitize_product_display_settings( wp_unslash( $_POST['vwg_display_settings'] ) );
+
+    if ( empty( $display ) ) {
+        delete_post_meta( $post_id, 'vwg_display_settings' );
+    } else {
+        update_post_meta( $post_id, 'vwg_display_settings', $display );
+    }
+}
+add_action( 'woocommerce_process_product_meta', 'vwg_save_product_display_settings' );
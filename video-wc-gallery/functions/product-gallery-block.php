@@ -29,6 +29,7 @@ function vwg_block_get_video_data( $product_id ) {
     }
 
     $break_rule = vwg_get_video_limit();
+    $product    = wc_get_product( $product_id );
     $videos     = array();
     $count      = 0;
 
@@ -38,6 +39,10 @@ function vwg_block_get_video_data( $product_id ) {
             break;
         }
 
+        if ( $product ) {
+            $video = vwg_video_with_poster_fallback( $video, $product );
+        }
+
         // Synthetic negative ID: -(product_id * 100 + video_index)
         // This avoids collision with real WordPress attachment IDs (always positive).
         $synthetic_id = -( absint( $product_id ) * 100 + $count );
@@ -45,10 +50,16 @@ function vwg_block_get_video_data( $product_id ) {
         $videos[] = array(
             'id'              => $synthetic_id,
             'video_url'       => $video['video_url'] ?? '',
+            'type'            => vwg_get_video_source_type( $video['video_url'] ?? '', $video['video_mime'] ?? '' ),
+            'sources'         => vwg_get_video_sources( $video ),
+            'tracks'          => vwg_get_video_tracks( $video ),
+            'playback'        => vwg_get_video_playback( $video ),
+            'hotspots'        => $product ? vwg_get_video_hotspots( $video, $product ) : array(),
             'thumb_url'       => $video['video_thumb_url'] ?? '',
             'wc_thumb_url'    => $video['woocommerce_thumbnail_url'] ?? ( $video['video_thumb_url'] ?? '' ),
             'wc_gallery_thumb' => $video['woocommerce_gallery_thumbnail_url'] ?? ( $video['video_thumb_url'] ?? '' ),
             'index'           => $count,
+            'label'           => $product ? vwg_get_video_label( $count, $product ) : sprintf( __( 'Video %d', 'video-wc-gallery' ), $count ),
         );
     }
 
@@ -86,7 +97,7 @@ function vwg_block_gallery_render( $block_content, $parsed_block, $instance ) {
         return $block_content;
     }
 
-    $settings   = get_option( 'vwg_settings_group' );
+    $settings   = vwg_get_settings( $product->get_id() );
     $show_first = ! empty( $settings['vwg_settings_show_first'] );
 
     // --- 1. Modify data-wp-context ---
@@ -116,11 +127,20 @@ function vwg_block_gallery_render( $block_content, $parsed_block, $instance ) {
                 $vwg_videos = array();
                 foreach ( $videos as $v ) {
                     $vwg_videos[ (string) $v['id'] ] = array(
-                        'url'   => $v['video_url'],
-                        'thumb' => $v['thumb_url'],
+                        'url'      => $v['video_url'],
+                        'thumb'    => $v['thumb_url'],
+                        'type'     => $v['type'],
+                        'sources'  => $v['sources'],
+                        'tracks'   => $v['tracks'],
+                        'playback' => $v['playback'],
+                        'hotspots' => $v['hotspots'],
+                        'index'    => $v['index'],
+                        'label'    => $v['label'],
                     );
                 }
-                $context['vwgVideos'] = $vwg_videos;
+                $context['vwgVideos']    = $vwg_videos;
+                $context['vwgProductId'] = $product->get_id();
+                $context['vwgAddToCart'] = vwg_get_end_screen_cart_product_id( $product );
 
                 $p->set_attribute(
                     'data-wp-context',
@@ -148,7 +168,7 @@ function vwg_block_gallery_render( $block_content, $parsed_block, $instance ) {
                     '<img data-image-id="%d" src="%s" loading="lazy" decoding="async" alt="%s" data-vwg-video-src="%s" class="vwg-block-dialog-video-poster" />',
                     $v['id'],
                     esc_url( $v['thumb_url'] ),
-                    esc_attr( sprintf( __( 'Video %d', 'video-wc-gallery' ), $v['index'] ) ),
+                    esc_attr( $v['label'] ),
                     esc_url( $v['video_url'] )
                 );
             }
@@ -199,7 +219,7 @@ function vwg_block_large_image_render( $block_content, $parsed_block, $instance
         return $block_content;
     }
 
-    $settings   = get_option( 'vwg_settings_group' );
+    $settings   = vwg_get_settings( $product->get_id() );
     $show_first = ! empty( $settings['vwg_settings_show_first'] );
 
     // Get product main image dimensions for sizing.
@@ -237,7 +257,7 @@ function vwg_block_large_image_render( $block_content, $parsed_block, $instance
             esc_url( $v['thumb_url'] ),
             (int) $width,
             (int) $height,
-            esc_attr( sprintf( __( 'Product Video %d', 'video-wc-gallery' ), $v['index'] ) ),
+            esc_attr( $v['label'] ),
             esc_url( $v['video_url'] ),
             $v['index'],
             $loading
@@ -299,7 +319,7 @@ function vwg_block_thumbnails_render( $block_content, $parsed_block, $instance )
         return $block_content;
     }
 
-    $settings   = get_option( 'vwg_settings_group' );
+    $settings   = vwg_get_settings( $product->get_id() );
     $show_first = ! empty( $settings['vwg_settings_show_first'] );
 
     // Get block attributes.
@@ -336,7 +356,7 @@ function vwg_block_thumbnails_render( $block_content, $parsed_block, $instance )
             esc_attr( $active_class ),
             $v['id'],
             esc_url( $v['wc_gallery_thumb'] ),
-            esc_attr( sprintf( __( 'Video %d', 'video-wc-gallery' ), $v['index'] ) ),
+            esc_attr( $v['label'] ),
             esc_attr( $tab_index ),
             esc_attr( $aspect_ratio )
         );
@@ -531,17 +551,17 @@ function vwg_block_enqueue_assets() {
         VWG_VERSION_NUM
     );
 
-    // JS — depends on videojs which is enqueued by vwg_enqueue_scripts().
+    // JS — depends on videojs and vwg-core which are enqueued by vwg_enqueue_scripts().
     wp_enqueue_script(
         'vwg-gallery-block',
         VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-gallery-block.js',
-        array( 'videojs' ),
+        array( 'videojs', 'vwg-core' ),
         VWG_VERSION_NUM,
         true
     );
 
     // Pass settings to JS.
-    $settings = get_option( 'vwg_settings_group' );
+    $settings = vwg_get_settings( $product->get_id() );
 
     // Determine icon unicode and weight.
     $icon = $settings['vwg_settings_icon'] ?? 'fas fa-play';
@@ -561,6 +581,7 @@ function vwg_block_enqueue_assets() {
         'muted'       => ! empty( $settings['vwg_settings_muted'] ),
         'autoplay'    => ! empty( $settings['vwg_settings_autoplay'] ),
         'adaptSizes'  => ! empty( $settings['vwg_settings_video_adapt_sizes'] ),
+        'lazyLoad'    => ! empty( $settings['vwg_settings_lazy_load'] ),
         'iconColor'   => $settings['vwg_settings_icon_color'] ?? '#ffffff',
         'iconUnicode' => $icon_data['unicode'],
         'iconWeight'  => $icon_data['weight'],
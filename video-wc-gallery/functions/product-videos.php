@@ -0,0 +1,265 @@
+<?php
+/**
+ * Product videos shortcode and block
+ *
+ * [vwg_product_videos id="123" layout="grid|slider" index="2"] and the
+ * "Product videos" block (vwg/product-videos) show the videos of a product
+ * outside its product page: landing pages, blog posts, the order received
+ * page. The videos are the ones in the product's vwg_video_url meta, with
+ * their posters, playback settings, captions, hotspots and end screen, and
+ * VideoObject structured data. vwg-product-videos.js starts the players.
+ *
+ *   id      Product ID. Defaults to the current product.
+ *   layout  "grid" (default) shows the videos side by side, "slider" one at
+ *           a time with previous and next buttons.
+ *   index   1-based position of a single video to show; 0 (default) shows
+ *           all videos.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Layouts of the shortcode and block.
+ *
+ * @since 2.6
+ * @return array Layout => label.
+ */
+function vwg_get_product_videos_layouts() {
+    return array(
+        'grid'   => __( 'Grid', 'video-wc-gallery' ),
+        'slider' => __( 'Slider', 'video-wc-gallery' ),
+    );
+}
+
+/**
+ * Build the VideoObject structured data of a video.
+ *
+ * @since 2.6
+ * @param array      $video   Video entry from the vwg_video_url meta, with poster fallbacks applied.
+ * @param WC_Product $product The product.
+ * @param int        $index   1-based position of the video in the product's video list.
+ * @return array Schema.org VideoObject.
+ */
+function vwg_get_video_schema( $video, $product, $index ) {
+    $embed       = vwg_get_embed_provider( $video['video_url'] );
+    $description = wp_strip_all_tags( $product->get_short_description() );
+
+    $schema = array(
+        '@context'     => 'https://schema.org',
+        '@type'        => 'VideoObject',
+        /* translators: 1: product name, 2: video number */
+        'name'         => sprintf( __( '%1$s Video - %2$d', 'video-wc-gallery' ), $product->get_name(), $index ),
+        'description'  => '' !== $description ? $description : $product->get_name(),
+        'thumbnailUrl' => $video['video_thumb_url'],
+    );
+
+    if ( $embed ) {
+        $schema['embedUrl'] = vwg_get_embed_url( $embed, array( 'controls' => true ) );
+    } else {
+        $schema['contentUrl']     = $video['video_url'];
+        $schema['encodingFormat'] = vwg_get_video_source_type( $video['video_url'], $video['video_mime'] ?? '' );
+    }
+
+    if ( $product->get_date_created() ) {
+        $schema['uploadDate'] = $product->get_date_created()->date( 'c' );
+    }
+
+    return apply_filters( 'vwg_video_schema', $schema, $video, $product, $index );
+}
+
+/**
+ * Render the videos of a product.
+ *
+ * @since 2.6
+ * @param array $args array( 'id', 'layout', 'index' ), see the file header.
+ * @return string The videos' HTML, empty when the product has none or is not published.
+ */
+function vwg_render_product_videos( $args ) {
+    $args = wp_parse_args( $args, array(
+        'id'     => 0,
+        'layout' => 'grid',
+        'index'  => 0,
+    ) );
+
+    $product = wc_get_product( absint( $args['id'] ) ? absint( $args['id'] ) : vwg_get_current_product_id() );
+    if ( ! $product || ( 'publish' !== $product->get_status() && ! current_user_can( 'edit_post', $product->get_id() ) ) ) {
+        return '';
+    }
+
+    $videos = maybe_unserialize( get_post_meta( $product->get_id(), 'vwg_video_url', true ) );
+    if ( empty( $videos ) || ! is_array( $videos ) ) {
+        return '';
+    }
+
+    // Keep each video's position in the product's list for its label and events.
+    $videos = array_slice( array_values( $videos ), 0, vwg_get_video_limit() );
+    $items  = array();
+    foreach ( $videos as $i => $video ) {
+        if ( ! absint( $args['index'] ) || absint( $args['index'] ) === $i + 1 ) {
+            $items[ $i + 1 ] = vwg_video_with_poster_fallback( $video, $product );
+        }
+    }
+    if ( empty( $items ) ) {
+        return '';
+    }
+
+    static $instance = 0;
+    $instance++;
+
+    $layout   = count( $items ) > 1 && 'slider' === $args['layout'] ? 'slider' : 'grid';
+    $settings = vwg_get_settings( $product->get_id() );
+    $fluid    = empty( $settings['vwg_settings_video_adapt_sizes'] ) ? 'vjs-fluid' : '';
+    // A page can hold many players: load metadata only, or nothing in lazy mode and while playback limits are unknown.
+    $preload  = ! empty( $settings['vwg_settings_lazy_load'] ) || vwg_has_playback_limits() ? 'none' : 'metadata';
+    $schema   = array();
+
+    vwg_enqueue_product_videos_assets();
+
+    ob_start();
+    ?>
+    <div class="vwg-product-videos vwg-product-videos--<?php echo esc_attr( $layout ); ?>"
+         data-vwg-product-id="<?php echo esc_attr( $product->get_id() ); ?>"
+         data-vwg-add-to-cart="<?php echo esc_attr( vwg_get_end_screen_cart_product_id( $product ) ); ?>">
+        <div class="vwg-product-videos__track">
+            <?php foreach ( $items as $index => $video ) :
+                $embed    = vwg_get_embed_provider( $video['video_url'] );
+                $playback = vwg_get_video_playback( $video );
+                $schema[] = vwg_get_video_schema( $video, $product, $index );
+                // There is no variations form to select a variation in.
+                $hotspots = $embed ? array() : array_values( wp_list_filter( vwg_get_video_hotspots( $video, $product ), array( 'action' => 'add_to_cart' ) ) );
+                ?>
+            <figure class="vwg-product-videos__item"
+                    data-vwg-video="<?php echo esc_attr( $index ); ?>"
+                    data-vwg-video-url="<?php echo esc_url( $video['video_url'] ); ?>"
+                    data-vwg-label="<?php echo esc_attr( vwg_get_video_label( $index, $product ) ); ?>"
+                    <?php if ( ! empty( $hotspots ) ) : ?>data-vwg-hotspots="<?php echo esc_attr( wp_json_encode( $hotspots ) ); ?>"<?php endif; ?>>
+                <?php if ( $embed ) : ?>
+                <!-- The iframe is loaded by vwg-product-videos.js once the video is in view -->
+                <div class="vwg-embed-container vwg-embed-<?php echo esc_attr( $embed['name'] ); ?><?php echo $embed['vertical'] ? ' vwg-embed-vertical' : ''; ?>" style="aspect-ratio: <?php echo esc_attr( vwg_get_embed_aspect_ratio( $embed ) ); ?>;" data-poster="<?php echo esc_url( $video['video_thumb_url'] ); ?>">
+                    <iframe data-src="<?php echo esc_url( vwg_get_embed_url( $embed, $playback ) ); ?>" data-autoplay-src="<?php echo esc_url( vwg_get_embed_url( $embed, array_merge( $playback, array( 'autoplay' => true ) ) ) ); ?>" title="<?php echo esc_attr( vwg_get_video_label( $index, $product ) ); ?>" allow="autoplay; encrypted-media; fullscreen; picture-in-picture" allowfullscreen frameborder="0"></iframe>
+                </div>
+                <?php else : ?>
+                <!-- Autoplay is left to vwg-product-videos.js, which plays the video once it is in view -->
+                <video id="vwg_product_videos_<?php echo esc_attr( $instance . '_' . $index ); ?>" class="video-js <?php echo esc_attr( $fluid ); ?> vwg_video_js" preload="<?php echo esc_attr( $preload ); ?>" poster="<?php echo esc_url( $video['video_thumb_url'] ); ?>" <?php echo $playback['controls'] ? 'controls' : ''; ?> <?php echo $playback['autoplay'] ? 'data-vwg-autoplay' : ''; ?> <?php echo $playback['loop'] ? 'loop' : ''; ?> <?php echo $playback['muted'] ? 'muted' : ''; ?> playsinline crossorigin="anonymous">
+                    <?php foreach ( vwg_get_video_sources( $video ) as $source ) : ?>
+                    <source src="<?php echo esc_url( $source['src'] ); ?>" type="<?php echo esc_attr( $source['type'] ); ?>" />
+                    <?php endforeach; ?>
+                    <?php foreach ( vwg_get_video_tracks( $video ) as $track ) : ?>
+                    <track kind="<?php echo esc_attr( $track['kind'] ); ?>" src="<?php echo esc_url( $track['src'] ); ?>" srclang="<?php echo esc_attr( $track['srclang'] ); ?>" label="<?php echo esc_attr( $track['label'] ); ?>" />
+                    <?php endforeach; ?>
+                </video>
+                <?php endif; ?>
+            </figure>
+            <?php endforeach; ?>
+        </div>
+        <?php if ( 'slider' === $layout ) : ?>
+        <button type="button" class="vwg-product-videos__prev" aria-label="<?php echo esc_attr__( 'Previous video', 'video-wc-gallery' ); ?>"><i class="fas fa-chevron-left" aria-hidden="true"></i></button>
+        <button type="button" class="vwg-product-videos__next" aria-label="<?php echo esc_attr__( 'Next video', 'video-wc-gallery' ); ?>"><i class="fas fa-chevron-right" aria-hidden="true"></i></button>
+        <?php endif; ?>
+        <script type="application/ld+json"><?php echo wp_json_encode( count( $schema ) > 1 ? $schema : $schema[0] ); ?></script>
+    </div>
+    <?php
+
+    return apply_filters( 'vwg_product_videos_html', ob_get_clean(), $product, $args );
+}
+
+/**
+ * [vwg_product_videos] shortcode.
+ *
+ * @since 2.6
+ * @param array|string $atts Shortcode attributes: id, layout, index.
+ * @return string The videos' HTML.
+ */
+function vwg_product_videos_shortcode( $atts ) {
+    $atts = shortcode_atts( array(
+        'id'     => 0,
+        'layout' => 'grid',
+        'index'  => 0,
+    ), $atts, 'vwg_product_videos' );
+
+    return vwg_render_product_videos( $atts );
+}
+add_shortcode( 'vwg_product_videos', 'vwg_product_videos_shortcode' );
+
+/**
+ * Register the "Product videos" block, rendered on the server like the shortcode.
+ *
+ * @since 2.6
+ */
+function vwg_register_product_videos_block() {
+    wp_register_script(
+        'vwg-product-videos-block',
+        VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-product-videos-block.js',
+        array( 'wp-blocks', 'wp-element', 'wp-components', 'wp-block-editor', 'wp-server-side-render', 'wp-i18n' ),
+        VWG_VERSION_NUM,
+        true
+    );
+    wp_set_script_translations( 'vwg-product-videos-block', 'video-wc-gallery' );
+
+    register_block_type( 'vwg/product-videos', array(
+        'api_version'     => 2,
+        'editor_script'   => 'vwg-product-videos-block',
+        'render_callback' => 'vwg_render_product_videos_block',
+        'attributes'      => array(
+            'productId' => array(
+                'type'    => 'integer',
+                'default' => 0,
+            ),
+            'layout'    => array(
+                'type'    => 'string',
+                'enum'    => array_keys( vwg_get_product_videos_layouts() ),
+                'default' => 'grid',
+            ),
+            'index'     => array(
+                'type'    => 'integer',
+                'default' => 0,
+            ),
+        ),
+        'supports'        => array(
+            'align' => array( 'wide', 'full' ),
+        ),
+    ) );
+}
+add_action( 'init', 'vwg_register_product_videos_block' );
+
+/**
+ * Render the "Product videos" block.
+ *
+ * @since 2.6
+ * @param array $attributes Block attributes: productId, layout, index.
+ * @return string The block's HTML.
+ */
+function vwg_render_product_videos_block( $attributes ) {
+    $html = vwg_render_product_videos( array(
+        'id'     => $attributes['productId'] ?? 0,
+        'layout' => $attributes['layout'] ?? 'grid',
+        'index'  => $attributes['index'] ?? 0,
+    ) );
+
+    if ( '' === $html ) {
+        return '';
+    }
+
+    return sprintf( '<div %s>%s</div>', get_block_wrapper_attributes(), $html );
+}
+
+/**
+ * Enqueue the player and the product videos script and styles. Called
+ * while rendering, so only pages showing product videos load them.
+ *
+ * @since 2.6
+ */
+function vwg_enqueue_product_videos_assets() {
+    if ( wp_script_is( 'vwg-product-videos', 'enqueued' ) ) {
+        return;
+    }
+
+    vwg_enqueue_player_assets();
+    wp_enqueue_style( 'vwg-product-videos', VWG_VIDEO_WOO_GALLERY_URL . 'includes/css/vwg-product-videos.css', array( 'vwg-player' ), VWG_VERSION_NUM );
+    wp_enqueue_script( 'vwg-product-videos', VWG_VIDEO_WOO_GALLERY_URL . 'includes/js/vwg-product-videos.js', array( 'videojs', 'vwg-core' ), VWG_VERSION_NUM, true );
+}
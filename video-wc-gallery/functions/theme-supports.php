@@ -36,9 +36,12 @@ function vwg_active_theme_checker()
  */
 function vwg_custom_wc_template_overwrite_for_themes($located, $template_name, $args, $template_path, $default_path)
 {
-    global $option;
+    if ($template_name !== 'single-product/product-image.php' && $template_name !== 'woocommerce/single-product/product-gallery-thumbnails.php') {
+        return $located;
+    }
 
-    if (isset($option['vwg_settings_show_first']) && $option['vwg_settings_show_first'] == 1) {
+    // "Show video first" of the product being rendered (general setting or product override)
+    if (vwg_is_video_first(vwg_get_current_product_id())) {
         if (vwg_active_theme_checker() === 'default') {
             if ($template_name === 'single-product/product-image.php') {
                 $located = VWG_VIDEO_WOO_GALLERY_DIR . 'woocommerce-overwrite/templates/single-product/product-image.php';
@@ -101,11 +104,6 @@ function vwg_blocksy_force_default_gallery( $use_default ) {
         return $use_default;
     }
 
-    $opt = get_option('vwg_settings_group');
-    if ( isset($opt['vwg_settings_show_first']) && $opt['vwg_settings_show_first'] == 1 ) {
-        return true;
-    }
-
     global $product;
     if ( ! is_object( $product ) ) {
         $product = wc_get_product( get_the_ID() );
@@ -115,6 +113,10 @@ function vwg_blocksy_force_default_gallery( $use_default ) {
         return $use_default;
     }
 
+    if ( vwg_is_video_first( $product->get_id() ) ) {
+        return true;
+    }
+
     $videos = get_post_meta( $product->get_id(), 'vwg_video_url', true );
     if ( ! empty( $videos ) ) {
         return true;
@@ -134,12 +136,9 @@ function vwg_blocksy_gallery_override_content( $content, $product, $gallery_imag
         return $content;
     }
 
-    $opt = get_option('vwg_settings_group');
-    $show_first = isset($opt['vwg_settings_show_first']) && $opt['vwg_settings_show_first'] == 1;
-
-    $has_videos = ( is_object( $product ) && method_exists( $product, 'get_id' ) )
-        ? get_post_meta( $product->get_id(), 'vwg_video_url', true )
-        : '';
+    $product_id = ( is_object( $product ) && method_exists( $product, 'get_id' ) ) ? $product->get_id() : 0;
+    $show_first = vwg_is_video_first( $product_id );
+    $has_videos = $product_id ? get_post_meta( $product_id, 'vwg_video_url', true ) : '';
 
     if ( ! $show_first && empty( $has_videos ) ) {
         return $content;
@@ -0,0 +1,152 @@
+<?php
+/**
+ * Variation videos
+ *
+ * Videos of a variable product can be assigned to its variations from the
+ * variation panel ("Videos for this variation"). The assignment is stored in
+ * the variation's vwg_variation_videos meta as keys of the parent's
+ * vwg_video_url meta, so it survives reordering the videos. The variation
+ * data sent to the variations form gets the 1-based positions of those
+ * videos ('vwg_videos'); when the shopper picks the variation, the classic
+ * gallery and the Product Gallery block jump to its first video, and a reset
+ * of the form returns them to the first slide.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Get the videos of a product that are shown in its gallery.
+ *
+ * @since 2.6
+ * @param int $product_id The product ID.
+ * @return array Video key => 1-based position in the gallery.
+ */
+function vwg_get_product_video_positions( $product_id ) {
+    $videos    = maybe_unserialize( get_post_meta( $product_id, 'vwg_video_url', true ) );
+    $positions = array();
+
+    if ( empty( $videos ) || ! is_array( $videos ) ) {
+        return $positions;
+    }
+
+    $limit = vwg_get_video_limit();
+    foreach ( array_keys( $videos ) as $key ) {
+        if ( count( $positions ) >= $limit ) {
+            break;
+        }
+        $positions[ $key ] = count( $positions ) + 1;
+    }
+
+    return $positions;
+}
+
+/**
+ * Get the video keys assigned to a variation.
+ *
+ * @since 2.6
+ * @param int $variation_id The variation ID.
+ * @return array Keys of the parent's vwg_video_url meta.
+ */
+function vwg_get_variation_video_keys( $variation_id ) {
+    $keys = get_post_meta( $variation_id, 'vwg_variation_videos', true );
+
+    return is_array( $keys ) ? array_values( $keys ) : array();
+}
+
+/**
+ * Get the gallery positions of a variation's videos.
+ *
+ * Videos that were deleted from the product since they were assigned, or
+ * that are beyond the video limit, are left out.
+ *
+ * @since 2.6
+ * @param int $variation_id The variation ID.
+ * @param int $product_id   The parent product ID.
+ * @return array 1-based positions, in gallery order.
+ */
+function vwg_get_variation_video_positions( $variation_id, $product_id ) {
+    $positions = array_values( array_intersect_key(
+        vwg_get_product_video_positions( $product_id ),
+        array_flip( vwg_get_variation_video_keys( $variation_id ) )
+    ) );
+
+    return apply_filters( 'vwg_variation_video_positions', $positions, $variation_id, $product_id );
+}
+
+/**
+ * Render the "Videos for this variation" field in the variation panel.
+ *
+ * @since 2.6
+ * @param int     $loop           Position of the variation in the panel.
+ * @param array   $variation_data Variation data.
+ * @param WP_Post $variation      The variation post.
+ */
+function vwg_render_variation_videos_field( $loop, $variation_data, $variation ) {
+    $videos = maybe_unserialize( get_post_meta( $variation->post_parent, 'vwg_video_url', true ) );
+    if ( empty( $videos ) || ! is_array( $videos ) ) {
+        return;
+    }
+
+    $selected = vwg_get_variation_video_keys( $variation->ID );
+    ?>
+    <p class="form-row form-row-full vwg-variation-videos">
+        <label for="vwg_variation_videos_<?php echo esc_attr($loop); ?>"><?php echo esc_html__('Videos for this variation', 'video-wc-gallery'); ?></label>
+        <?php echo wc_help_tip(__('The product gallery jumps to these videos when the shopper picks this variation', 'video-wc-gallery')); ?>
+        <!-- Sent when nothing is selected, so clearing the field is saved -->
+        <input type="hidden" name="vwg_variation_videos[<?php echo esc_attr($loop); ?>][]" value="">
+        <select id="vwg_variation_videos_<?php echo esc_attr($loop); ?>" class="wc-enhanced-select" name="vwg_variation_videos[<?php echo esc_attr($loop); ?>][]" multiple="multiple" style="width: 100%;" data-placeholder="<?php echo esc_attr__('No videos', 'video-wc-gallery'); ?>">
+            <?php foreach (vwg_get_product_video_positions($variation->post_parent) as $key => $position) :
+                $embed = vwg_get_embed_provider($videos[$key]['video_url']);
+                $name = $embed ? $embed['provider']['label'] . ' ' . $embed['id'] : wp_basename($videos[$key]['video_url']);
+                ?>
+            <option value="<?php echo esc_attr($key); ?>" <?php selected(in_array((string) $key, array_map('strval', $selected), true)); ?>><?php echo esc_html(sprintf(__('Video %1$d: %2$s', 'video-wc-gallery'), $position, $name)); ?></option>
+            <?php endforeach; ?>
+        </select>
+    </p>
+    <?php
+}
+add_action( 'woocommerce_product_after_variable_attributes', 'vwg_render_variation_videos_field', 10, 3 );
+
+/**
+ * Save the videos assigned to a variation.
+ *
+ * @since 2.6
+ * @param int $variation_id The variation ID.
+ * @param int $i            Position of the variation in the panel.
+ */
+function vwg_save_variation_videos( $variation_id, $i ) {
+    if ( ! isset( $_POST['vwg_variation_videos'][ $i ] ) || ! is_array( $_POST['vwg_variation_videos'][ $i ] ) ) {
+        return;
+    }
+
+    $keys = array_values( array_filter( array_map( 'sanitize_text_field', wp_unslash( $_POST['vwg_variation_videos'][ $i ] ) ), 'strlen' ) );
+
+    if ( empty( $keys ) ) {
+        delete_post_meta( $variation_id, 'vwg_variation_videos' );
+    } else {
+        update_post_meta( $variation_id, 'vwg_variation_videos', $keys );
+    }
+}
+add_action( 'woocommerce_save_product_variation', 'vwg_save_variation_videos', 10, 2 );
+
+/**
+ * Add the gallery positions of a variation's videos to the data of the
+ * variations form.
+ *
+ * @since 2.6
+ * @param array                $data      Variation data.
+ * @param WC_Product           $product   The parent product.
+ * @param WC_Product_Variation $variation The variation.
+ * @return array Variation data with 'vwg_videos'.
+ */
+function vwg_add_variation_videos_data( $data, $product, $variation ) {
+    $data['vwg_videos'] = vwg_get_variation_video_positions( $variation->get_id(), $product->get_id() );
+
+    return $data;
+}
+add_filter( 'woocommerce_available_variation', 'vwg_add_variation_videos_data', 10, 3 );
@@ -0,0 +1,182 @@
+<?php
+/**
+ * Shoppable video hotspots
+ *
+ * Timed overlays added to a product video in the product video tab, e.g.
+ * "0:12 - 0:20: Blue colour". While the video plays between the start and
+ * end time the label is shown as a button over the Video.js player; clicking
+ * it selects a variation in the product's variations form or adds the
+ * product (or a variation) to the cart. Hotspots are stored in the video's
+ * 'video_hotspots' entry of the vwg_video_url meta.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Hotspot actions offered in the product video tab.
+ *
+ * @since 2.6
+ * @return array Action => label.
+ */
+function vwg_get_video_hotspot_actions() {
+    return array(
+        'variation'   => __( 'Select variation', 'video-wc-gallery' ),
+        'add_to_cart' => __( 'Add to cart', 'video-wc-gallery' ),
+    );
+}
+
+/**
+ * Convert a hotspot time to seconds: "42", "0:42", "1:02:03" or "1m30s".
+ *
+ * @since 2.6
+ * @param string $value The time.
+ * @return int Seconds, 0 when the value is not a time.
+ */
+function vwg_parse_video_time( $value ) {
+    $value = trim( (string) $value );
+
+    if ( preg_match( '/^(?:(\d+):)?(\d+):(\d{1,2})$/', $value, $matches ) ) {
+        return (int) $matches[1] * 3600 + (int) $matches[2] * 60 + (int) $matches[3];
+    }
+
+    return vwg_parse_embed_time( $value );
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for long videos.
+ *
+ * @since 2.6
+ * @param int $seconds Time in seconds.
+ * @return string Formatted time.
+ */
+function vwg_format_video_time( $seconds ) {
+    $seconds = absint( $seconds );
+    $hours   = floor( $seconds / 3600 );
+    $minutes = floor( $seconds % 3600 / 60 );
+
+    if ( $hours ) {
+        return sprintf( '%d:%02d:%02d', $hours, $minutes, $seconds % 60 );
+    }
+
+    return sprintf( '%d:%02d', $minutes, $seconds % 60 );
+}
+
+/**
+ * Sanitize the hotspots posted from the product video tab.
+ *
+ * Hotspots without a label or with an end time before their start time
+ * are left out.
+ *
+ * @since 2.6
+ * @param array $hotspots Posted hotspots, each with 'start', 'end', 'label', 'action' and 'variation_id'.
+ * @return array Sanitized hotspots sorted by start time, times in seconds.
+ */
+function vwg_sanitize_video_hotspots( $hotspots ) {
+    $sanitized = array();
+
+    if ( ! is_array( $hotspots ) ) {
+        return $sanitized;
+    }
+
+    $actions = vwg_get_video_hotspot_actions();
+
+    foreach ( $hotspots as $hotspot ) {
+        if ( ! is_array( $hotspot ) ) {
+            continue;
+        }
+
+        $label = isset( $hotspot['label'] ) ? sanitize_text_field( wp_unslash( $hotspot['label'] ) ) : '';
+        $start = isset( $hotspot['start'] ) ? vwg_parse_video_time( $hotspot['start'] ) : 0;
+        $end   = isset( $hotspot['end'] ) ? vwg_parse_video_time( $hotspot['end'] ) : 0;
+
+        if ( '' === $label || $end <= $start ) {
+            continue;
+        }
+
+        $sanitized[] = array(
+            'start'        => $start,
+            'end'          => $end,
+            'label'        => $label,
+            'action'       => isset( $hotspot['action'], $actions[ $hotspot['action'] ] ) ? $hotspot['action'] : 'variation',
+            'variation_id' => isset( $hotspot['variation_id'] ) ? absint( $hotspot['variation_id'] ) : 0,
+        );
+    }
+
+    usort( $sanitized, function ( $a, $b ) {
+        return $a['start'] - $b['start'];
+    } );
+
+    return $sanitized;
+}
+
+/**
+ * Get the variations of a product for the hotspot variation select.
+ *
+ * @since 2.6
+ * @param WC_Product|false $product The product.
+ * @return array Variation ID => "Blue, Large".
+ */
+function vwg_get_hotspot_variation_options( $product ) {
+    $options = array();
+
+    if ( ! $product || ! $product->is_type( 'variable' ) ) {
+        return $options;
+    }
+
+    foreach ( $product->get_children() as $variation_id ) {
+        $variation = wc_get_product( $variation_id );
+        if ( $variation ) {
+            $options[ $variation_id ] = wc_get_formatted_variation( $variation, true, false );
+        }
+    }
+
+    return $options;
+}
+
+/**
+ * Get the hotspots of a video for the frontend.
+ *
+ * Each hotspot gets the product to add to the cart ('product_id', the
+ * variation when one is set) and the variation's attributes
+ * (attribute_pa_color => blue) to select in the variations form. Hotspots
+ * whose variation is gone, "Select variation" hotspots without a variation
+ * and "Add to cart" hotspots that would add a variable product without
+ * choosing a variation are left out.
+ *
+ * @since 2.6
+ * @param array      $video   Video entry from the vwg_video_url meta.
+ * @param WC_Product $product The product the video belongs to.
+ * @return array List of array( 'start', 'end', 'label', 'action', 'product_id', 'attributes' ).
+ */
+function vwg_get_video_hotspots( $video, $product ) {
+    $hotspots = array();
+
+    if ( ! empty( $video['video_hotspots'] ) && is_array( $video['video_hotspots'] ) && $product ) {
+        foreach ( $video['video_hotspots'] as $hotspot ) {
+            $variation = ! empty( $hotspot['variation_id'] ) ? wc_get_product( $hotspot['variation_id'] ) : null;
+
+            if ( $variation && $variation->get_parent_id() !== $product->get_id() ) {
+                $variation = null;
+            }
+            if ( ! $variation && ( 'variation' === $hotspot['action'] || $product->is_type( 'variable' ) ) ) {
+                continue;
+            }
+
+            $hotspots[] = array(
+                'start'      => (int) $hotspot['start'],
+                'end'        => (int) $hotspot['end'],
+                'label'      => $hotspot['label'],
+                'action'     => $hotspot['action'],
+                'product_id' => $variation ? $variation->get_id() : $product->get_id(),
+                'attributes' => $variation ? $variation->get_variation_attributes() : array(),
+            );
+        }
+    }
+
+    return apply_filters( 'vwg_video_hotspots', $hotspots, $video, $product );
+}
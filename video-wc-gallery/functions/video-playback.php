@@ -0,0 +1,129 @@
+<?php
+/**
+ * Per-video playback settings
+ *
+ * Autoplay, loop, muted and controls come from the general settings
+ * (vwg_settings_group). Each video in the product video tab can override
+ * any of them; overrides are stored in the video's 'video_playback' entry of
+ * the vwg_video_url meta as '1' (on) or '0' (off). Settings without an
+ * override follow the general settings.
+ *
+ * Visitors who ask for less motion or less data can still get click-to-play
+ * videos that download nothing up front: see vwg_get_playback_limits().
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Playback settings that can be overridden per video.
+ *
+ * @since 2.6
+ * @return array Setting => label.
+ */
+function vwg_get_video_playback_options() {
+    return array(
+        'autoplay' => __( 'Autoplay', 'video-wc-gallery' ),
+        'loop'     => __( 'Loop', 'video-wc-gallery' ),
+        'muted'    => __( 'Muted', 'video-wc-gallery' ),
+        'controls' => __( 'Controls', 'video-wc-gallery' ),
+    );
+}
+
+/**
+ * Sanitize the playback overrides posted from the product video tab.
+ *
+ * @since 2.6
+ * @param array $playback Posted overrides: setting => '' (default), '1' or '0'.
+ * @return array Overrides that are set, setting => '1' or '0'.
+ */
+function vwg_sanitize_video_playback( $playback ) {
+    $sanitized = array();
+
+    if ( ! is_array( $playback ) ) {
+        return $sanitized;
+    }
+
+    foreach ( array_keys( vwg_get_video_playback_options() ) as $setting ) {
+        if ( isset( $playback[ $setting ] ) && in_array( $playback[ $setting ], array( '0', '1' ), true ) ) {
+            $sanitized[ $setting ] = $playback[ $setting ];
+        }
+    }
+
+    return $sanitized;
+}
+
+/**
+ * Get the playback settings from the general settings.
+ *
+ * @since 2.6
+ * @return array array( 'autoplay', 'loop', 'muted', 'controls' ) as booleans.
+ */
+function vwg_get_default_video_playback() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return array(
+        'autoplay' => ! empty( $option['vwg_settings_autoplay'] ),
+        'loop'     => ! empty( $option['vwg_settings_loop'] ),
+        'muted'    => ! empty( $option['vwg_settings_muted'] ),
+        'controls' => ! empty( $option['vwg_settings_video_controls'] ),
+    );
+}
+
+/**
+ * Get the playback settings of a video: the general settings with the
+ * video's overrides applied.
+ *
+ * @since 2.6
+ * @param array $video Video entry from the vwg_video_url meta.
+ * @return array array( 'autoplay', 'loop', 'muted', 'controls' ) as booleans.
+ */
+function vwg_get_video_playback( $video ) {
+    $playback = vwg_get_default_video_playback();
+
+    if ( ! empty( $video['video_playback'] ) && is_array( $video['video_playback'] ) ) {
+        foreach ( vwg_sanitize_video_playback( $video['video_playback'] ) as $setting => $value ) {
+            $playback[ $setting ] = '1' === $value;
+        }
+    }
+
+    return apply_filters( 'vwg_video_playback', $playback, $video );
+}
+
+/**
+ * Visitor preferences that turn autoplay off and preload to "none".
+ *
+ * Checked in the browser by VWG.isPlaybackLimited():
+ *
+ *   reduced_motion   prefers-reduced-motion: reduce.
+ *   save_data        Data Saver is on (navigator.connection.saveData).
+ *   slow_connection  The effective connection type is slow-2g, 2g or 3g.
+ *
+ * @since 2.6
+ * @return array array( 'reduced_motion', 'save_data', 'slow_connection' ) as booleans.
+ */
+function vwg_get_playback_limits() {
+    $option = get_option( 'vwg_settings_group' );
+
+    return apply_filters( 'vwg_playback_limits', array(
+        'reduced_motion'  => ! empty( $option['vwg_settings_limit_reduced_motion'] ),
+        'save_data'       => ! empty( $option['vwg_settings_limit_save_data'] ),
+        'slow_connection' => ! empty( $option['vwg_settings_limit_slow_connection'] ),
+    ) );
+}
+
+/**
+ * Check if any playback limit is turned on. Pages then render videos
+ * without the native autoplay attribute and with preload="none", and the
+ * frontend starts them once it knows the visitor's preferences.
+ *
+ * @since 2.6
+ * @return bool True when at least one limit is on.
+ */
+function vwg_has_playback_limits() {
+    return in_array( true, vwg_get_playback_limits(), true );
+}
@@ -0,0 +1,212 @@
+<?php
+/**
+ * Video source helpers
+ *
+ * Source type (MIME) detection and alternate renditions shared by the
+ * classic gallery, the Product Gallery block and the admin video tab.
+ * Adaptive streaming manifests (HLS .m3u8 / DASH .mpd) are played through
+ * the VHS source handler bundled with Video.js, which picks them up from
+ * the source type.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Map of file extensions to video source types.
+ *
+ * @since 2.6
+ * @return array Extension => MIME type.
+ */
+function vwg_get_video_mime_types() {
+    return apply_filters( 'vwg_video_mime_types', array(
+        'm3u8' => 'application/x-mpegURL',
+        'mpd'  => 'application/dash+xml',
+        'mp4'  => 'video/mp4',
+        'm4v'  => 'video/mp4',
+        'webm' => 'video/webm',
+        'ogv'  => 'video/ogg',
+        'mov'  => 'video/quicktime',
+    ) );
+}
+
+/**
+ * Get the source type for a video.
+ *
+ * The attachment MIME type stored with the video wins; otherwise the type is
+ * detected from the URL extension, falling back to video/mp4.
+ *
+ * @since 2.6
+ * @param string $url  The video URL.
+ * @param string $mime Stored attachment MIME type (optional).
+ * @return string The source type.
+ */
+function vwg_get_video_source_type( $url, $mime = '' ) {
+    if ( ! empty( $mime ) ) {
+        return $mime;
+    }
+
+    $path      = wp_parse_url( (string) $url, PHP_URL_PATH );
+    $extension = strtolower( pathinfo( (string) $path, PATHINFO_EXTENSION ) );
+    $types     = vwg_get_video_mime_types();
+
+    return $types[ $extension ] ?? 'video/mp4';
+}
+
+/**
+ * Formats offered for alternate renditions in the product video tab.
+ *
+ * Codec hints let browsers skip renditions they cannot decode, e.g. HEVC
+ * in browsers without H.265 support.
+ *
+ * @since 2.6
+ * @return array Source type => label.
+ */
+function vwg_get_video_source_formats() {
+    return apply_filters( 'vwg_video_source_formats', array(
+        'video/mp4'                 => __( 'MP4 (H.264)', 'video-wc-gallery' ),
+        'video/mp4; codecs="hvc1"'  => __( 'MP4 (HEVC)', 'video-wc-gallery' ),
+        'video/webm'                => __( 'WebM', 'video-wc-gallery' ),
+        'video/webm; codecs="vp9"'  => __( 'WebM (VP9)', 'video-wc-gallery' ),
+        'video/ogg'                 => __( 'Ogg', 'video-wc-gallery' ),
+        'video/quicktime'           => __( 'MOV', 'video-wc-gallery' ),
+    ) );
+}
+
+/**
+ * Sanitize a source type, keeping an optional codecs parameter.
+ *
+ * @since 2.6
+ * @param string $type The source type.
+ * @return string The sanitized type or an empty string.
+ */
+function vwg_sanitize_source_type( $type ) {
+    $type = trim( wp_unslash( (string) $type ) );
+
+    if ( ! preg_match( '#^[a-z]+/[a-z0-9.+-]+(;\s*codecs="[a-z0-9., ]+")?$#i', $type ) ) {
+        return '';
+    }
+
+    return $type;
+}
+
+/**
+ * Sanitize the alternate sources posted from the product video tab.
+ *
+ * @since 2.6
+ * @param array $sources Posted sources, each with 'url' and 'mime'.
+ * @return array Sanitized sources in their posted order.
+ */
+function vwg_sanitize_video_sources( $sources ) {
+    $sanitized = array();
+
+    if ( ! is_array( $sources ) ) {
+        return $sanitized;
+    }
+
+    foreach ( $sources as $source ) {
+        $url = isset( $source['url'] ) ? esc_url_raw( $source['url'] ) : '';
+        if ( empty( $url ) ) {
+            continue;
+        }
+
+        $sanitized[] = array(
+            'url'  => $url,
+            'mime' => vwg_get_video_source_type( $url, vwg_sanitize_source_type( $source['mime'] ?? '' ) ),
+        );
+    }
+
+    return $sanitized;
+}
+
+/**
+ * Get all sources of a video in playback order.
+ *
+ * The main video comes first, followed by its alternate renditions. Browsers
+ * play the first source whose type they support.
+ *
+ * @since 2.6
+ * @param array $video Video entry from the vwg_video_url meta.
+ * @return array List of array( 'src' => url, 'type' => source type ).
+ */
+function vwg_get_video_sources( $video ) {
+    $sources = array();
+
+    if ( ! empty( $video['video_url'] ) ) {
+        $sources[] = array(
+            'src'  => $video['video_url'],
+            'type' => vwg_get_video_source_type( $video['video_url'], $video['video_mime'] ?? '' ),
+        );
+    }
+
+    if ( ! empty( $video['video_sources'] ) && is_array( $video['video_sources'] ) ) {
+        foreach ( $video['video_sources'] as $source ) {
+            if ( empty( $source['url'] ) ) {
+                continue;
+            }
+
+            $sources[] = array(
+                'src'  => $source['url'],
+                'type' => vwg_get_video_source_type( $source['url'], $source['mime'] ?? '' ),
+            );
+        }
+    }
+
+    return apply_filters( 'vwg_video_sources', $sources, $video );
+}
+
+/**
+ * Check if a source type is an adaptive streaming manifest (HLS or DASH).
+ *
+ * @since 2.6
+ * @param string $type The source type.
+ * @return bool True for HLS/DASH.
+ */
+function vwg_is_streaming_source_type( $type ) {
+    return in_array( strtolower( (string) $type ), array( 'application/x-mpegurl', 'application/vnd.apple.mpegurl', 'application/dash+xml' ), true );
+}
+
+/**
+ * Fill in missing poster and thumbnail URLs from the product image.
+ *
+ * Stream URLs are added without a captured frame, so they have no thumbnail
+ * of their own.
+ *
+ * @since 2.6
+ * @param array      $video   Video entry from the vwg_video_url meta.
+ * @param WC_Product $product The product.
+ * @return array The video entry with poster URLs set.
+ */
+function vwg_video_with_poster_fallback( $video, $product ) {
+    if ( ! empty( $video['video_thumb_url'] ) || ! $product->get_image_id() ) {
+        return $video;
+    }
+
+    $image_id = $product->get_image_id();
+
+    $video['video_thumb_url']                   = wp_get_attachment_image_url( $image_id, 'woocommerce_single' );
+    $video['woocommerce_thumbnail_url']         = wp_get_attachment_image_url( $image_id, 'woocommerce_thumbnail' );
+    $video['woocommerce_gallery_thumbnail_url'] = wp_get_attachment_image_url( $image_id, 'woocommerce_gallery_thumbnail' );
+
+    return $video;
+}
+
+/**
+ * Accessible name of a video's thumbnail and play control, e.g.
+ * "Play video 2: Blue T-Shirt".
+ *
+ * @since 2.6
+ * @param int        $index   1-based position of the video in the product's video list.
+ * @param WC_Product $product The product.
+ * @return string The label.
+ */
+function vwg_get_video_label( $index, $product ) {
+    /* translators: 1: video number, 2: product name */
+    $label = sprintf( __( 'Play video %1$d: %2$s', 'video-wc-gallery' ), $index, $product->get_name() );
+
+    return apply_filters( 'vwg_video_label', $label, $index, $product );
+}
@@ -0,0 +1,94 @@
+<?php
+/**
+ * Video text tracks
+ *
+ * WebVTT captions and subtitles attached to product videos in the product
+ * video tab and rendered as <track> elements, which Video.js lists in its
+ * captions / subtitles menus.
+ *
+ * @since 2.6
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Track kinds offered in the product video tab.
+ *
+ * @since 2.6
+ * @return array Kind => label.
+ */
+function vwg_get_video_track_kinds() {
+    return array(
+        'captions'  => __( 'Captions', 'video-wc-gallery' ),
+        'subtitles' => __( 'Subtitles', 'video-wc-gallery' ),
+    );
+}
+
+/**
+ * Sanitize the text tracks posted from the product video tab.
+ *
+ * @since 2.6
+ * @param array $tracks Posted tracks, each with 'url', 'srclang', 'label' and 'kind'.
+ * @return array Sanitized tracks in their posted order.
+ */
+function vwg_sanitize_video_tracks( $tracks ) {
+    $sanitized = array();
+
+    if ( ! is_array( $tracks ) ) {
+        return $sanitized;
+    }
+
+    $kinds = vwg_get_video_track_kinds();
+
+    foreach ( $tracks as $track ) {
+        $url = isset( $track['url'] ) ? esc_url_raw( $track['url'] ) : '';
+        if ( empty( $url ) ) {
+            continue;
+        }
+
+        // BCP 47 language tag, e.g. "en" or "pt-BR".
+        $srclang = isset( $track['srclang'] ) ? preg_replace( '/[^A-Za-z0-9-]/', '', $track['srclang'] ) : '';
+        $kind    = isset( $track['kind'], $kinds[ $track['kind'] ] ) ? $track['kind'] : 'captions';
+        $label   = isset( $track['label'] ) ? sanitize_text_field( wp_unslash( $track['label'] ) ) : '';
+
+        $sanitized[] = array(
+            'url'     => $url,
+            'srclang' => $srclang,
+            'label'   => '' !== $label ? $label : $srclang,
+            'kind'    => $kind,
+        );
+    }
+
+    return $sanitized;
+}
+
+/**
+ * Get the text tracks of a video.
+ *
+ * @since 2.6
+ * @param array $video Video entry from the vwg_video_url meta.
+ * @return array List of array( 'src', 'srclang', 'label', 'kind' ).
+ */
+function vwg_get_video_tracks( $video ) {
+    $tracks = array();
+
+    if ( ! empty( $video['video_tracks'] ) && is_array( $video['video_tracks'] ) ) {
+        foreach ( $video['video_tracks'] as $track ) {
+            if ( empty( $track['url'] ) ) {
+                continue;
+            }
+
+            $tracks[] = array(
+                'src'     => $track['url'],
+                'srclang' => $track['srclang'] ?? '',
+                'label'   => $track['label'] ?? '',
+                'kind'    => $track['kind'] ?? 'captions',
+            );
+        }
+    }
+
+    return apply_filters( 'vwg_video_tracks', $tracks, $video );
+}
@@ -0,0 +1,1948 @@
+/**
+ * Video Gallery for WooCommerce - Shared frontend core
+ *
+ * Helpers shared by the classic gallery controller (vwg-gallery-classic.js)
+ * and the Product Gallery block script (vwg-gallery-block.js), exposed on
+ * the global window.VWG namespace.
+ *
+ * Public events
+ * -------------
+ * Both galleries dispatch the same DOM CustomEvents on the gallery root
+ * element (.woocommerce-product-gallery for the classic gallery, the
+ * woocommerce/product-gallery block element for the block). The events
+ * bubble, so they can be observed on document:
+ *
+ *   vwg:play            A video started or resumed playing.
+ *   vwg:pause           A video was paused.
+ *   vwg:ended           A video reached its end.
+ *   vwg:slide-activated A video slide became the visible slide.
+ *   vwg:hotspot         A shoppable hotspot was clicked. event.detail.hotspot
+ *                       is the hotspot; call preventDefault() to replace its
+ *                       "select variation" or "add to cart" action.
+ *
+ * event.detail = {
+ *     productId:   {number}  WooCommerce product ID.
+ *     videoIndex:  {number}  1-based position of the video in the product's video list.
+ *     url:         {string}  Video URL.
+ *     currentTime: {number}  Playback position in seconds (0 before playback starts).
+ *     gallery:     {string}  'classic', 'block' or 'product-videos'.
+ *     player:      {Object|null} The Video.js player (or embed player, see
+ *                                VWG.createEmbedPlayer()), when one exists.
+ * }
+ *
+ * Example:
+ *
+ *   document.addEventListener('vwg:play', function (e) {
+ *       dataLayer.push({ event: 'product_video_play', product: e.detail.productId });
+ *   });
+ *
+ * Embed providers
+ * ---------------
+ * Hosted videos (YouTube, Vimeo, Wistia, Dailymotion) are matched against
+ * the provider registry from PHP (see functions/embed-providers.php).
+ * Providers can also be added from JavaScript before the galleries start:
+ *
+ *   VWG.registerProvider('myhost', {
+ *       pattern: 'myhost\\.com/v/([0-9]+)',
+ *       embed_url: 'https://player.myhost.com/{id}',
+ *       autoplay: 'autoplay=1',
+ *       aspect_ratio: '16:9'
+ *   });
+ *
+ * Consent
+ * -------
+ * With "Ask before loading hosted videos" enabled, hosted videos show their
+ * poster with a play button and the iframe is created only when the visitor
+ * clicks it, the configured consent cookie or JavaScript check is truthy, or
+ * a consent management script calls:
+ *
+ *   VWG.grantConsent();
+ *
+ * Resume and volume
+ * -----------------
+ * Self-hosted videos remember their playback position per product and video
+ * in localStorage and offer a "Resume from 0:42" button when they are shown
+ * again. The shopper's volume and mute choice is remembered across products.
+ * Both are turned off with the 'vwg_remember_playback' PHP filter.
+ *
+ * Reduced motion and data
+ * -----------------------
+ * Visitors who prefer reduced motion, have Data Saver on or are on a slow
+ * connection get click-to-play videos with preload="none", depending on the
+ * "No autoplay ..." settings. Both galleries ask VWG.isPlaybackLimited().
+ *
+ * Mini-player
+ * -----------
+ * With "Floating mini-player" enabled, a video that is playing when the
+ * shopper scrolls past the gallery moves into a corner overlay with "Back to
+ * gallery" and close buttons, and returns to its slide when the gallery is
+ * scrolled back into view (see VWG.setupMiniPlayer()).
+ *
+ * Shoppable hotspots
+ * ------------------
+ * Timed labels added to a video in the product video tab are shown over its
+ * Video.js player between their start and end times. Clicking one selects
+ * its variation in form.variations_form or adds the product to the cart
+ * (see VWG.bindHotspots()).
+ *
+ * End screen
+ * ----------
+ * With "End screen" enabled, a video that finishes without looping shows
+ * Replay and Next video buttons over its player, plus Add to cart for
+ * simple products when "Add to cart on the end screen" is on (see
+ * VWG.bindEndScreen()).
+ *
+ * Playlist mode
+ * -------------
+ * With "Playlist mode" enabled, a video that finishes without looping
+ * shows an "Up next" countdown with a Cancel button, after which the
+ * gallery moves on to its next slide and plays it when it is a video. With
+ * "Skip images in playlist mode" image slides are passed over. The last
+ * slide ends the playlist (see VWG.bindUpNext()).
+ *
+ * Dynamic galleries
+ * -----------------
+ * Galleries are started once when the page loads. Galleries added later,
+ * e.g. by quick view modals or AJAX navigation, are started with
+ * VWG.init(rootEl), and stopped with VWG.destroy(rootEl) before they are
+ * removed or replaced, which disposes their players. rootEl is a gallery or
+ * any element holding galleries; both default to the whole document:
+ *
+ *   $(document.body).on('quick-view-displayed', function () {
+ *       VWG.init(document.querySelector('.quick-view-modal'));
+ *   });
+ *
+ * With the 'vwg_observe_galleries' PHP filter returning true, galleries
+ * that are added to or removed from the page are started and stopped
+ * automatically (see VWG.observeGalleries()).
+ *
+ * @since 2.6
+ */
+(function (window, document) {
+    'use strict';
+
+    var VWG = window.VWG = window.VWG || {};
+
+    /**
+     * Event names dispatched on the gallery root.
+     */
+    var EVENTS = {
+        PLAY: 'vwg:play',
+        PAUSE: 'vwg:pause',
+        ENDED: 'vwg:ended',
+        SLIDE_ACTIVATED: 'vwg:slide-activated',
+        HOTSPOT: 'vwg:hotspot'
+    };
+
+    /**
+     * Embed provider registry, seeded from PHP.
+     */
+    var providers = {};
+
+    /**
+     * Gallery types started and stopped by VWG.init() and VWG.destroy().
+     */
+    var galleryTypes = [];
+
+    /**
+     * Consent settings from PHP (see vwg_get_embed_consent_settings()).
+     */
+    var consent = window.vwgEmbedConsent || { required: false };
+
+    /**
+     * Set once VWG.grantConsent() is called.
+     */
+    var consentGranted = false;
+
+    /**
+     * Embeds waiting behind a consent facade: { facade, load }.
+     */
+    var pendingEmbeds = [];
+
+    /**
+     * postMessage protocols of providers whose iframes can be controlled.
+     *
+     * listen(id)        Message that subscribes to player state updates.
+     * command(name, id) Message for 'play' or 'pause'.
+     * parse(data)       Turn an incoming message into { state, currentTime },
+     *                   or null when it is not a player message. state is
+     *                   'playing', 'paused' or 'ended'.
+     */
+    var EMBED_APIS = {
+        // YouTube IFrame Player API, enabled by enablejsapi=1 in the embed URL.
+        youtube: {
+            listen: function (id) {
+                return JSON.stringify({ event: 'listening', id: id, channel: 'widget' });
+            },
+            command: function (name, id) {
+                return JSON.stringify({
+                    event: 'command',
+                    func: name === 'play' ? 'playVideo' : 'pauseVideo',
+                    args: [],
+                    id: id,
+                    channel: 'widget'
+                });
+            },
+            parse: function (data) {
+                var message;
+                try {
+                    message = typeof data === 'string' ? JSON.parse(data) : data;
+                } catch (e) {
+                    return null;
+                }
+                if (!message || typeof message.event !== 'string') {
+                    return null;
+                }
+
+                var states = { 0: 'ended', 1: 'playing', 2: 'paused' };
+                var update = {};
+
+                if (message.event === 'onStateChange') {
+                    update.state = states[message.info];
+                } else if (message.event === 'infoDelivery' && message.info) {
+                    if (typeof message.info.currentTime === 'number') {
+                        update.currentTime = message.info.currentTime;
+                    }
+                    if (message.info.playerState !== undefined) {
+                        update.state = states[message.info.playerState];
+                    }
+                } else if (message.event !== 'onReady' && message.event !== 'initialDelivery') {
+                    return null;
+                }
+
+                return update;
+            }
+        }
+    };
+
+    /**
+     * Resume, mini-player and hotspot settings from PHP (see vwg_enqueue_scripts()).
+     */
+    var playerData = window.vwgPlayerData || { remember: false };
+
+    /**
+     * localStorage keys and limits of the remembered playback state.
+     *
+     * POSITIONS_KEY  { 'productId:index': { url, time, saved } }.
+     * VOLUME_KEY     { volume, muted }.
+     * MIN_RESUME     Positions closer than this to the start or the end (in
+     *                seconds) are not worth resuming and are forgotten.
+     * MAX_POSITIONS  Oldest positions are dropped beyond this count.
+     * SAVE_INTERVAL  Minimum milliseconds between saves while playing.
+     */
+    var POSITIONS_KEY = 'vwg_positions';
+    var VOLUME_KEY = 'vwg_volume';
+    var MIN_RESUME = 5;
+    var MAX_POSITIONS = 50;
+    var SAVE_INTERVAL = 5000;
+
+    /**
+     * The floating mini-player: its overlay element, and the player shown in
+     * it { el, player, embed, placeholder, rootEl } or null.
+     */
+    var miniOverlay = null;
+    var miniPlayer = null;
+
+    /**
+     * Players whose ended event already docks the mini-player.
+     */
+    var miniBound = [];
+
+    /**
+     * Counter for embed player IDs.
+     */
+    var embedPlayerCount = 0;
+
+    /**
+     * Source types by file extension. Kept in line with vwg_get_video_mime_types().
+     */
+    var SOURCE_TYPES = {
+        m3u8: 'application/x-mpegURL',
+        mpd: 'application/dash+xml',
+        mp4: 'video/mp4',
+        m4v: 'video/mp4',
+        webm: 'video/webm',
+        ogv: 'video/ogg',
+        mov: 'video/quicktime'
+    };
+
+    /**
+     * Get the source type for a video. HLS and DASH types are played by the
+     * VHS source handler bundled with Video.js.
+     *
+     * @param {string} url  The video URL.
+     * @param {string} type Source type provided by the server (optional).
+     * @return {string} The source type, video/mp4 when unknown.
+     */
+    function getSourceType(url, type) {
+        if (type) {
+            return type;
+        }
+
+        var path = String(url || '').split(/[?#]/)[0];
+        var match = path.match(/\.([a-z0-9]+)$/i);
+
+        return (match && SOURCE_TYPES[match[1].toLowerCase()]) || 'video/mp4';
+    }
+
+    /**
+     * Get the ordered source list of a video.
+     *
+     * @param {Object} videoInfo Video metadata { url, type, sources }.
+     * @return {Array} List of { src, type }, in playback order.
+     */
+    function getSources(videoInfo) {
+        if (videoInfo.sources && videoInfo.sources.length) {
+            return videoInfo.sources;
+        }
+
+        return [{ src: videoInfo.url, type: getSourceType(videoInfo.url, videoInfo.type) }];
+    }
+
+    /**
+     * Append <source> elements for a video to a <video> element.
+     *
+     * @param {HTMLVideoElement} videoEl   The video element.
+     * @param {Object}           videoInfo Video metadata { url, type, sources }.
+     */
+    function appendSources(videoEl, videoInfo) {
+        var sources = getSources(videoInfo);
+
+        for (var i = 0; i < sources.length; i++) {
+            var source = document.createElement('source');
+            source.src = sources[i].src;
+            source.type = getSourceType(sources[i].src, sources[i].type);
+            videoEl.appendChild(source);
+        }
+    }
+
+    /**
+     * Append <track> elements for a video's captions and subtitles.
+     *
+     * @param {HTMLVideoElement} videoEl   The video element.
+     * @param {Object}           videoInfo Video metadata { tracks }.
+     */
+    function appendTracks(videoEl, videoInfo) {
+        var tracks = videoInfo.tracks || [];
+
+        for (var i = 0; i < tracks.length; i++) {
+            var track = document.createElement('track');
+            track.kind = tracks[i].kind || 'captions';
+            track.src = tracks[i].src;
+            track.srclang = tracks[i].srclang || '';
+            track.label = tracks[i].label || tracks[i].srclang || '';
+            videoEl.appendChild(track);
+        }
+    }
+
+    /**
+     * Register or replace an embed provider.
+     *
+     * @param {string} name     Provider name.
+     * @param {Object} provider Provider definition { pattern, embed_url, params, autoplay, muted, loop, no_controls, start, end, aspect_ratio, vertical }.
+     */
+    function registerProvider(name, provider) {
+        providers[name] = provider;
+    }
+
+    /**
+     * Convert a URL timestamp to seconds: "90", "90s", "1m30s" or "1h2m3s".
+     *
+     * @param {string} value The timestamp.
+     * @return {number} Seconds, 0 when the value is not a timestamp.
+     */
+    function parseEmbedTime(value) {
+        value = String(value || '').toLowerCase();
+
+        if (/^\d+$/.test(value)) {
+            return parseInt(value, 10);
+        }
+
+        var match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+        if (!value || !match) {
+            return 0;
+        }
+
+        return (parseInt(match[1], 10) || 0) * 3600 + (parseInt(match[2], 10) || 0) * 60 + (parseInt(match[3], 10) || 0);
+    }
+
+    /**
+     * Read a t=, start= or end= parameter from the query string or fragment of a URL.
+     *
+     * @param {string} url  The video URL.
+     * @param {string} name Parameter name.
+     * @return {string} The raw value, or an empty string.
+     */
+    function getTimeParam(url, name) {
+        var match = String(url).match(new RegExp('[?&#]' + name + '=([^&#]*)'));
+
+        return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    /**
+     * Find the embed provider for a video URL.
+     *
+     * Timestamps in the URL (t=, start= and end=) are returned as start and
+     * end in seconds, 0 when not set.
+     *
+     * @param {string} url The video URL.
+     * @return {Object|null} { name, id, provider, start, end, vertical } or null for self-hosted videos.
+     */
+    function getProvider(url) {
+        if (!url) {
+            return null;
+        }
+
+        for (var name in providers) {
+            if (!providers.hasOwnProperty(name) || !providers[name].pattern) {
+                continue;
+            }
+
+            var match = String(url).match(new RegExp(providers[name].pattern, 'i'));
+            if (match && match[1]) {
+                var vertical = providers[name].vertical;
+
+                return {
+                    name: name,
+                    id: match[1],
+                    provider: providers[name],
+                    start: parseEmbedTime(getTimeParam(url, 'start') || getTimeParam(url, 't')),
+                    end: parseEmbedTime(getTimeParam(url, 'end')),
+                    vertical: !!vertical && new RegExp(vertical, 'i').test(url)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the embed URL for a hosted video.
+     *
+     * @param {Object} embed   Result of getProvider().
+     * @param {Object} options Playback options { autoplay, muted, loop, controls }.
+     * @return {string} The embed URL.
+     */
+    function getEmbedUrl(embed, options) {
+        var provider = embed.provider;
+        var query = [];
+
+        if (provider.params) {
+            query.push(provider.params);
+        }
+        if (options.autoplay && provider.autoplay) {
+            query.push(provider.autoplay);
+        }
+        if (options.muted && provider.muted) {
+            query.push(provider.muted);
+        }
+        if (options.loop && provider.loop) {
+            query.push(provider.loop);
+        }
+        if (!options.controls && provider.no_controls) {
+            query.push(provider.no_controls);
+        }
+        if (embed.start && provider.start) {
+            query.push(provider.start.replace('{start}', embed.start));
+        }
+        if (embed.end && provider.end) {
+            query.push(provider.end.replace('{end}', embed.end));
+        }
+
+        var url = provider.embed_url;
+        if (query.length) {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+        }
+
+        return url.replace(/\{id\}/g, encodeURIComponent(embed.id));
+    }
+
+    /**
+     * Get the CSS aspect-ratio value of an embed, e.g. "16 / 9", or "9 / 16"
+     * for vertical videos.
+     *
+     * @param {Object} embed Result of getProvider().
+     * @return {string} CSS aspect ratio.
+     */
+    function getEmbedAspectRatio(embed) {
+        var ratio = String(embed.vertical ? '9:16' : (embed.provider.aspect_ratio || '16:9')).split(':');
+
+        return (parseInt(ratio[0], 10) || 16) + ' / ' + (parseInt(ratio[1], 10) || 9);
+    }
+
+    /**
+     * Read a cookie value.
+     *
+     * @param {string} name Cookie name.
+     * @return {string|null} The value, or null when the cookie is not set.
+     */
+    function getCookie(name) {
+        var cookies = document.cookie ? document.cookie.split('; ') : [];
+
+        for (var i = 0; i < cookies.length; i++) {
+            var eq = cookies[i].indexOf('=');
+            if (cookies[i].substring(0, eq) === name) {
+                return decodeURIComponent(cookies[i].substring(eq + 1));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a dotted global path such as "Cookiebot.consent.marketing".
+     * Functions are called; any other value is used as is.
+     *
+     * @param {string} path The global path.
+     * @return {*} The resolved value, undefined when the path does not exist.
+     */
+    function resolveGlobal(path) {
+        var parts = path.split('.');
+        var context = window;
+        var value = window;
+
+        for (var i = 0; i < parts.length; i++) {
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+            context = value;
+            value = value[parts[i]];
+        }
+
+        if (typeof value === 'function') {
+            try {
+                return value.call(context);
+            } catch (e) {
+                return undefined;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Check if hosted videos may be loaded.
+     *
+     * @return {boolean} True when no consent is required or it has been given.
+     */
+    function hasConsent() {
+        if (!consent.required || consentGranted) {
+            return true;
+        }
+
+        if (consent.cookie) {
+            var value = getCookie(consent.cookie);
+            if (value !== null && value !== '' && value !== '0' && value !== 'false' && value !== 'no') {
+                return true;
+            }
+        }
+
+        return !!(consent.callback && resolveGlobal(consent.callback));
+    }
+
+    /**
+     * Record consent and load every embed waiting behind a facade.
+     */
+    function grantConsent() {
+        consentGranted = true;
+
+        var pending = pendingEmbeds;
+        pendingEmbeds = [];
+        for (var i = 0; i < pending.length; i++) {
+            removeFacade(pending[i]);
+            pending[i].load(false);
+        }
+    }
+
+    /**
+     * Build the click-to-load poster of a hosted video.
+     *
+     * @param {Object} embed  Result of getProvider().
+     * @param {string} poster Poster image URL (optional).
+     * @return {HTMLElement} The facade element.
+     */
+    function createFacade(embed, poster) {
+        var facade = document.createElement('div');
+        facade.className = 'vwg-embed-facade vwg-embed-facade-' + embed.name;
+        if (poster) {
+            facade.style.backgroundImage = 'url("' + String(poster).replace(/"/g, '%22') + '")';
+        }
+
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'vwg-embed-facade__play';
+        button.setAttribute('aria-label', consent.play || 'Play video');
+        button.innerHTML = '<i class="fas fa-play" aria-hidden="true"></i>';
+        facade.appendChild(button);
+
+        var notice = document.createElement('p');
+        notice.className = 'vwg-embed-facade__notice';
+        notice.textContent = String(consent.notice || '%s').replace('%s', embed.provider.label || embed.name);
+        facade.appendChild(notice);
+
+        return facade;
+    }
+
+    /**
+     * Take a facade out of the page.
+     *
+     * @param {Object} entry Pending embed { facade, load }.
+     */
+    function removeFacade(entry) {
+        if (entry.facade.parentNode) {
+            entry.facade.parentNode.removeChild(entry.facade);
+        }
+    }
+
+    /**
+     * Load a hosted video, behind a consent facade when consent is required
+     * and not given yet.
+     *
+     * load(clicked) creates the iframe; clicked is true when the visitor
+     * pressed the facade's play button, so the video should start playing.
+     *
+     * @param {HTMLElement} container Element the facade is added to.
+     * @param {Object}      embed     Result of getProvider().
+     * @param {string}      poster    Poster image URL (optional).
+     * @param {Function}    load      Creates or starts the iframe.
+     * @return {Object|null} Handle with cancel() while the facade is shown, null when loaded right away.
+     */
+    function requestEmbed(container, embed, poster, load) {
+        if (hasConsent()) {
+            load(false);
+            return null;
+        }
+
+        var entry = { facade: createFacade(embed, poster), load: load };
+        pendingEmbeds.push(entry);
+        container.appendChild(entry.facade);
+
+        entry.facade.addEventListener('click', function (e) {
+            // Keep the click away from gallery links and lightboxes.
+            e.preventDefault();
+            e.stopPropagation();
+
+            cancel();
+            load(true);
+        });
+
+        function cancel() {
+            var index = pendingEmbeds.indexOf(entry);
+            if (index !== -1) {
+                pendingEmbeds.splice(index, 1);
+            }
+            removeFacade(entry);
+        }
+
+        return { cancel: cancel };
+    }
+
+    /**
+     * Wrap a hosted video iframe in a small player object that can be paused
+     * and resumed through the provider's postMessage API.
+     *
+     * The object mirrors the parts of the Video.js player API the galleries
+     * use (on, play, pause, paused, ended, currentTime, dispose), so it can be
+     * stored and paused alongside Video.js players and passed to
+     * bindPlayerEvents().
+     *
+     * @param {HTMLIFrameElement} iframe The embed iframe.
+     * @param {Object}            embed  Result of getProvider().
+     * @return {Object|null} The player, or null when the provider has no supported API.
+     */
+    function createEmbedPlayer(iframe, embed) {
+        var api = EMBED_APIS[embed.name];
+        if (!api) {
+            return null;
+        }
+
+        var id = 'vwg_embed_' + (++embedPlayerCount);
+        var listeners = {};
+        var state = 'paused';
+        var currentTime = 0;
+        var ready = false;
+        var queued = null;
+        var handshake = null;
+
+        /**
+         * Post a message to the iframe.
+         *
+         * @param {string} message The serialized message.
+         */
+        function post(message) {
+            if (iframe.contentWindow) {
+                iframe.contentWindow.postMessage(message, '*');
+            }
+        }
+
+        /**
+         * Send a command, or keep the latest one until the player is ready.
+         *
+         * @param {string} name 'play' or 'pause'.
+         */
+        function command(name) {
+            if (ready) {
+                post(api.command(name, id));
+            } else {
+                queued = name;
+            }
+        }
+
+        /**
+         * Call the listeners of an event.
+         *
+         * @param {string} type Event name.
+         */
+        function trigger(type) {
+            var callbacks = (listeners[type] || []).slice();
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i].call(player);
+            }
+        }
+
+        /**
+         * Handle player messages coming from the iframe.
+         *
+         * @param {MessageEvent} e The message event.
+         */
+        function onMessage(e) {
+            if (e.source !== iframe.contentWindow) {
+                return;
+            }
+
+            var update = api.parse(e.data);
+            if (!update) {
+                return;
+            }
+
+            if (!ready) {
+                ready = true;
+                clearInterval(handshake);
+                if (queued) {
+                    post(api.command(queued, id));
+                    queued = null;
+                }
+            }
+
+            if (typeof update.currentTime === 'number') {
+                currentTime = update.currentTime;
+            }
+
+            if (update.state && update.state !== state) {
+                state = update.state;
+                trigger(state === 'playing' ? 'play' : state);
+            }
+        }
+
+        /**
+         * Subscribe to state updates each time the iframe (re)loads. The
+         * player may not be listening yet, so repeat until it answers.
+         */
+        function onLoad() {
+            var attempts = 0;
+
+            ready = false;
+            clearInterval(handshake);
+            post(api.listen(id));
+            handshake = setInterval(function () {
+                if (ready || ++attempts > 20) {
+                    clearInterval(handshake);
+                    return;
+                }
+                post(api.listen(id));
+            }, 250);
+        }
+
+        var player = {
+            on: function (type, callback) {
+                (listeners[type] = listeners[type] || []).push(callback);
+            },
+            play: function () {
+                command('play');
+            },
+            pause: function () {
+                command('pause');
+            },
+            paused: function () {
+                return state !== 'playing';
+            },
+            ended: function () {
+                return state === 'ended';
+            },
+            currentTime: function () {
+                return currentTime;
+            },
+            dispose: function () {
+                command('pause');
+                clearInterval(handshake);
+                iframe.removeEventListener('load', onLoad);
+                window.removeEventListener('message', onMessage);
+                listeners = {};
+            }
+        };
+
+        iframe.addEventListener('load', onLoad);
+        window.addEventListener('message', onMessage);
+
+        return player;
+    }
+
+    /**
+     * Dispatch a bubbling CustomEvent on a gallery root element.
+     *
+     * @param {HTMLElement} rootEl The gallery root element.
+     * @param {string}      type   One of VWG.events.
+     * @param {Object}      detail Event payload.
+     * @return {boolean} False if a listener called preventDefault().
+     */
+    function dispatch(rootEl, type, detail) {
+        if (!rootEl) {
+            return true;
+        }
+
+        var event;
+        if (typeof window.CustomEvent === 'function') {
+            event = new CustomEvent(type, { bubbles: true, cancelable: true, detail: detail });
+        } else {
+            event = document.createEvent('CustomEvent');
+            event.initCustomEvent(type, true, true, detail);
+        }
+
+        return rootEl.dispatchEvent(event);
+    }
+
+    /**
+     * Build the event payload for a video.
+     *
+     * @param {Object}      video   Video descriptor { productId, index, url, gallery }.
+     * @param {Object|null} player  The Video.js player, if any.
+     * @return {Object} Event detail.
+     */
+    function buildDetail(video, player) {
+        var currentTime = 0;
+        if (player && typeof player.currentTime === 'function') {
+            try {
+                currentTime = player.currentTime() || 0;
+            } catch (e) {
+                // Player may have been disposed.
+            }
+        }
+
+        return {
+            productId: parseInt(video.productId, 10) || 0,
+            videoIndex: parseInt(video.index, 10) || 0,
+            url: video.url || '',
+            currentTime: currentTime,
+            gallery: video.gallery || '',
+            player: player || null
+        };
+    }
+
+    /**
+     * Forward a Video.js player's play/pause/ended events to the gallery root.
+     *
+     * @param {Object}      player The Video.js player.
+     * @param {HTMLElement} rootEl The gallery root element.
+     * @param {Object}      video  Video descriptor { productId, index, url, gallery }.
+     */
+    function bindPlayerEvents(player, rootEl, video) {
+        player.on('play', function () {
+            dispatch(rootEl, EVENTS.PLAY, buildDetail(video, player));
+        });
+        player.on('pause', function () {
+            // Video.js fires pause right before ended; report only the ended event then.
+            if (!player.ended()) {
+                dispatch(rootEl, EVENTS.PAUSE, buildDetail(video, player));
+            }
+        });
+        player.on('ended', function () {
+            dispatch(rootEl, EVENTS.ENDED, buildDetail(video, player));
+        });
+    }
+
+    /**
+     * Check if a keyboard event is Enter or Space.
+     *
+     * @param {KeyboardEvent} e The event.
+     * @return {boolean} True for the keys that activate buttons.
+     */
+    function isActivationKey(e) {
+        return e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar';
+    }
+
+    /**
+     * Keep a copy of a <video> element before Video.js takes it over.
+     *
+     * Disposing a player removes its element from the page; galleries put
+     * the copy back afterwards so VWG.init() can start them again.
+     *
+     * @param {HTMLVideoElement} videoEl The video element.
+     * @return {Function} Puts the copy back where the element was.
+     */
+    function keepVideoMarkup(videoEl) {
+        var copy = videoEl.cloneNode(true);
+        var parent = videoEl.parentNode;
+        var next = videoEl.nextSibling;
+
+        return function () {
+            parent.insertBefore(copy, next && next.parentNode === parent ? next : null);
+        };
+    }
+
+    /**
+     * Let keyboard users play and pause a Video.js player.
+     *
+     * Enter or Space toggles playback while the player itself has focus;
+     * its control bar buttons keep their own keys. Players without controls
+     * have no focusable control at all, so the player becomes a toggle
+     * button named after the video whose aria-pressed follows playback.
+     *
+     * @param {Object} player The Video.js player.
+     * @param {string} label  Accessible name, e.g. "Play video 2: Blue T-Shirt".
+     */
+    function makePlayerAccessible(player, label) {
+        var el = player.el();
+
+        if (!player.controls()) {
+            var sync = function () {
+                el.setAttribute('aria-pressed', player.paused() ? 'false' : 'true');
+            };
+
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('role', 'button');
+            if (label) {
+                el.setAttribute('aria-label', label);
+            }
+            sync();
+            player.on('play', sync);
+            player.on('pause', sync);
+            player.on('ended', sync);
+        } else if (label) {
+            el.setAttribute('aria-label', label);
+        }
+
+        el.addEventListener('keydown', function (e) {
+            if (e.target !== el || !isActivationKey(e)) {
+                return;
+            }
+            e.preventDefault();
+            // Keep the key from reaching slide and gallery handlers.
+            e.stopPropagation();
+
+            if (player.paused()) {
+                var promise = player.play();
+                if (promise && typeof promise.catch === 'function') {
+                    promise.catch(function () {
+                        // Blocked by the browser.
+                    });
+                }
+            } else {
+                player.pause();
+            }
+        });
+    }
+
+    /**
+     * Announce that a video slide became the visible slide.
+     *
+     * @param {HTMLElement} rootEl The gallery root element.
+     * @param {Object}      video  Video descriptor { productId, index, url, gallery }.
+     * @param {Object|null} player The Video.js player, if one exists yet.
+     */
+    function slideActivated(rootEl, video, player) {
+        dispatch(rootEl, EVENTS.SLIDE_ACTIVATED, buildDetail(video, player));
+    }
+
+    /**
+     * Read a JSON value from localStorage.
+     *
+     * @param {string} key Storage key.
+     * @return {*} The stored value, or null when missing or storage is blocked.
+     */
+    function readStorage(key) {
+        try {
+            return JSON.parse(window.localStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage. Fails silently when storage is
+     * blocked or full.
+     *
+     * @param {string} key   Storage key.
+     * @param {*}      value Value to store.
+     */
+    function writeStorage(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Private mode or quota exceeded.
+        }
+    }
+
+    /**
+     * Format seconds as m:ss, or h:mm:ss for long videos.
+     *
+     * @param {number} seconds Time in seconds.
+     * @return {string} Formatted time.
+     */
+    function formatTime(seconds) {
+        seconds = Math.floor(seconds);
+
+        var h = Math.floor(seconds / 3600);
+        var m = Math.floor(seconds % 3600 / 60);
+        var s = seconds % 60;
+        var pad = function (n) {
+            return (n < 10 ? '0' : '') + n;
+        };
+
+        return (h ? h + ':' + pad(m) : m) + ':' + pad(s);
+    }
+
+    /**
+     * Get the remembered position of a video.
+     *
+     * @param {Object} video Video descriptor { productId, index, url }.
+     * @return {number} Position in seconds, 0 when there is none.
+     */
+    function getSavedPosition(video) {
+        var positions = readStorage(POSITIONS_KEY) || {};
+        var entry = positions[video.productId + ':' + video.index];
+
+        // The video list may have changed since the position was saved.
+        if (!entry || entry.url !== video.url) {
+            return 0;
+        }
+
+        return entry.time || 0;
+    }
+
+    /**
+     * Remember or forget the position of a video.
+     *
+     * @param {Object} video    Video descriptor { productId, index, url }.
+     * @param {number} time     Position in seconds.
+     * @param {number} duration Video duration in seconds, 0 when unknown.
+     */
+    function savePosition(video, time, duration) {
+        var positions = readStorage(POSITIONS_KEY) || {};
+        var key = video.productId + ':' + video.index;
+
+        if (time < MIN_RESUME || (duration && time > duration - MIN_RESUME)) {
+            if (!positions[key]) {
+                return;
+            }
+            delete positions[key];
+        } else {
+            positions[key] = { url: video.url, time: Math.floor(time), saved: new Date().getTime() };
+
+            var keys = Object.keys(positions);
+            if (keys.length > MAX_POSITIONS) {
+                keys.sort(function (a, b) {
+                    return positions[a].saved - positions[b].saved;
+                });
+                for (var i = 0; i < keys.length - MAX_POSITIONS; i++) {
+                    delete positions[keys[i]];
+                }
+            }
+        }
+
+        writeStorage(POSITIONS_KEY, positions);
+    }
+
+    /**
+     * Seek a Video.js player and start it, waiting for the metadata when
+     * the video has not loaded yet (preload="none").
+     *
+     * @param {Object} player The Video.js player.
+     * @param {number} time   Position in seconds.
+     */
+    function seekAndPlay(player, time) {
+        if (player.readyState() >= 1) {
+            player.currentTime(time);
+        } else {
+            player.one('loadedmetadata', function () {
+                player.currentTime(time);
+            });
+        }
+
+        var promise = player.play();
+        if (promise && typeof promise.catch === 'function') {
+            promise.catch(function () {
+                // Blocked by the browser; the shopper can press play.
+            });
+        }
+    }
+
+    /**
+     * Show the "Resume from 0:42" button on a player.
+     *
+     * The button goes away when it is clicked, once the video has played
+     * past the point where resuming makes sense, or when it ends.
+     *
+     * @param {Object} player The Video.js player.
+     * @param {number} time   Remembered position in seconds.
+     */
+    function showResumeButton(player, time) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'vwg-resume-button';
+        button.textContent = (playerData.resume || 'Resume from %s').replace('%s', formatTime(time));
+
+        var remove = function () {
+            if (button.parentNode) {
+                button.parentNode.removeChild(button);
+            }
+            player.off('timeupdate', onTimeUpdate);
+            player.off('ended', remove);
+        };
+        var onTimeUpdate = function () {
+            if (player.currentTime() > MIN_RESUME * 2) {
+                remove();
+            }
+        };
+
+        button.addEventListener('click', function (e) {
+            // Keep the click from reaching the slide's play/pause toggle.
+            e.stopPropagation();
+            remove();
+            seekAndPlay(player, time);
+        });
+
+        player.on('timeupdate', onTimeUpdate);
+        player.on('ended', remove);
+        player.el().appendChild(button);
+    }
+
+    /**
+     * Remember the position and the volume of a self-hosted Video.js player.
+     *
+     * Offers to resume from the remembered position, applies the shopper's
+     * remembered volume and mute choice, and keeps both up to date while the
+     * video plays. Looping videos keep no position.
+     *
+     * @param {Object}  player           The Video.js player.
+     * @param {Object}  video            Video descriptor { productId, index, url, gallery }.
+     * @param {Object}  [options]        Options.
+     * @param {boolean} [options.autoplay] The player starts without a click. Such
+     *                                   players stay muted when they are muted,
+     *                                   since browsers block unmuted autoplay.
+     */
+    function rememberPlayback(player, video, options) {
+        if (!playerData.remember || !player || !video.productId) {
+            return;
+        }
+
+        options = options || {};
+
+        var volume = readStorage(VOLUME_KEY);
+        var shopperAdjusted = false;
+        var lastSave = 0;
+
+        var save = function () {
+            if (player.loop()) {
+                return;
+            }
+            try {
+                savePosition(video, player.currentTime() || 0, player.duration() || 0);
+            } catch (e) {
+                // Player may have been disposed.
+            }
+        };
+
+        player.ready(function () {
+            if (volume && typeof volume.volume === 'number') {
+                player.volume(volume.volume);
+            }
+            if (volume && typeof volume.muted === 'boolean' && (volume.muted || !options.autoplay)) {
+                player.muted(volume.muted);
+            }
+
+            var time = player.loop() ? 0 : getSavedPosition(video);
+            if (time) {
+                showResumeButton(player, time);
+            }
+        });
+
+        // Volume changes before the first play come from the player setup,
+        // not from the shopper.
+        player.one('play', function () {
+            shopperAdjusted = true;
+        });
+        player.on('volumechange', function () {
+            if (shopperAdjusted) {
+                writeStorage(VOLUME_KEY, { volume: player.volume(), muted: player.muted() });
+            }
+        });
+
+        player.on('timeupdate', function () {
+            var now = new Date().getTime();
+            if (now - lastSave >= SAVE_INTERVAL) {
+                lastSave = now;
+                save();
+            }
+        });
+        player.on('pause', save);
+        player.on('dispose', save);
+        player.on('ended', function () {
+            savePosition(video, 0, 0);
+        });
+    }
+
+    /**
+     * Fire a bubbling change event on a form field, so WooCommerce's
+     * variation form (and jQuery handlers) notice the new value.
+     *
+     * @param {HTMLElement} field The form field.
+     */
+    function fireChange(field) {
+        var event;
+        if (typeof window.Event === 'function') {
+            event = new Event('change', { bubbles: true });
+        } else {
+            event = document.createEvent('Event');
+            event.initEvent('change', true, false);
+        }
+
+        field.dispatchEvent(event);
+    }
+
+    /**
+     * Select a hotspot's variation in the product's variations form.
+     *
+     * Attributes the variation leaves open ("Any colour") keep the
+     * shopper's choice.
+     *
+     * @param {Object} hotspot Hotspot from vwg_get_video_hotspots().
+     */
+    function selectVariation(hotspot) {
+        var form = document.querySelector('form.variations_form');
+        if (!form) {
+            return;
+        }
+
+        var fields = [];
+        Object.keys(hotspot.attributes || {}).forEach(function (name) {
+            var field = form.querySelector('[name="' + name + '"]');
+            if (field && hotspot.attributes[name] !== '') {
+                field.value = hotspot.attributes[name];
+                fields.push(field);
+            }
+        });
+
+        // Set every attribute first, so the form looks up the variation
+        // with all of them.
+        fields.forEach(fireChange);
+    }
+
+    /**
+     * Get the URL that adds a product to the cart without JavaScript.
+     *
+     * @param {number} productId Product or variation ID.
+     * @return {string} The current page URL with ?add-to-cart=ID.
+     */
+    function getAddToCartUrl(productId) {
+        var url = window.location.href.split('#')[0];
+        url = url.replace(/([?&])add-to-cart=[^&]*&?/, '$1').replace(/[?&]$/, '');
+
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + 'add-to-cart=' + encodeURIComponent(productId);
+    }
+
+    /**
+     * Add a product to the cart through WooCommerce's AJAX endpoint, then
+     * let the mini-cart refresh itself (added_to_cart). Falls back to
+     * reloading the page with ?add-to-cart=ID.
+     *
+     * @param {number}            productId Product or variation ID.
+     * @param {HTMLButtonElement} button    The button that was clicked.
+     */
+    function addToCart(productId, button) {
+        if (!playerData.addToCartUrl || typeof window.fetch !== 'function') {
+            window.location.href = getAddToCartUrl(productId);
+            return;
+        }
+
+        var label = button.textContent;
+        button.disabled = true;
+        button.classList.add('vwg-adding-to-cart');
+
+        window.fetch(playerData.addToCartUrl, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'product_id=' + encodeURIComponent(productId) + '&quantity=1'
+        }).then(function (response) {
+            return response.json();
+        }).then(function (response) {
+            if (!response || response.error) {
+                // Out of stock or needs options: WooCommerce explains on the product page.
+                window.location.href = (response && response.product_url) || getAddToCartUrl(productId);
+                return;
+            }
+
+            button.disabled = false;
+            button.classList.remove('vwg-adding-to-cart');
+            button.classList.add('vwg-added-to-cart');
+            button.textContent = playerData.addedToCart || label;
+            setTimeout(function () {
+                button.classList.remove('vwg-added-to-cart');
+                button.textContent = label;
+            }, 3000);
+
+            // Updates the cart fragments (mini-cart, cart count) like a shop page button.
+            if (window.jQuery) {
+                window.jQuery(document.body).trigger('added_to_cart', [response.fragments, response.cart_hash]);
+            }
+        }).catch(function () {
+            window.location.href = getAddToCartUrl(productId);
+        });
+    }
+
+    /**
+     * Show a video's shoppable hotspots over its Video.js player.
+     *
+     * Each hotspot is a button shown while the playback position is between
+     * its start and end time. Clicking it dispatches vwg:hotspot and, unless
+     * a listener prevents it, selects the hotspot's variation or adds its
+     * product to the cart.
+     *
+     * @param {Object}      player   The Video.js player.
+     * @param {Array}       hotspots Hotspots from vwg_get_video_hotspots():
+     *                               { start, end, label, action, product_id, attributes }.
+     * @param {HTMLElement} rootEl   The gallery root element.
+     * @param {Object}      video    Video descriptor { productId, index, url, gallery }.
+     */
+    function bindHotspots(player, hotspots, rootEl, video) {
+        if (!player || !hotspots || !hotspots.length) {
+            return;
+        }
+
+        var layer = document.createElement('div');
+        layer.className = 'vwg-hotspots';
+
+        var buttons = hotspots.map(function (hotspot) {
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'vwg-hotspot vwg-hotspot--' + hotspot.action.replace(/_/g, '-');
+            button.textContent = hotspot.label;
+            button.hidden = true;
+
+            button.addEventListener('click', function (e) {
+                // Keep the click from reaching the slide's play/pause toggle.
+                e.stopPropagation();
+
+                var detail = buildDetail(video, player);
+                detail.hotspot = hotspot;
+                if (!dispatch(rootEl, EVENTS.HOTSPOT, detail)) {
+                    return;
+                }
+
+                if (hotspot.action === 'add_to_cart') {
+                    addToCart(hotspot.product_id, button);
+                } else {
+                    selectVariation(hotspot);
+                }
+            });
+
+            layer.appendChild(button);
+            return button;
+        });
+
+        var update = function () {
+            var time = player.currentTime() || 0;
+            for (var i = 0; i < hotspots.length; i++) {
+                buttons[i].hidden = time < hotspots[i].start || time >= hotspots[i].end;
+            }
+        };
+
+        player.ready(function () {
+            player.el().appendChild(layer);
+            update();
+        });
+        player.on('timeupdate', update);
+        player.on('seeked', update);
+    }
+
+    /**
+     * Show an end screen over a Video.js player when its video finishes.
+     *
+     * The end screen has a Replay button, a Next video button when the
+     * gallery passes options.next and an Add to cart button when it passes
+     * options.cartProductId. It goes away once the video plays again.
+     * Looping videos never end, so they never show it.
+     *
+     * @param {Object}   player                  The Video.js player.
+     * @param {Object}   [options]               Options.
+     * @param {Function} [options.next]          Shows the gallery's next video.
+     * @param {number}   [options.cartProductId] Product added by the Add to cart button.
+     */
+    function bindEndScreen(player, options) {
+        if (!playerData.endScreen || !player) {
+            return;
+        }
+
+        options = options || {};
+
+        var screen = null;
+
+        var hide = function () {
+            if (screen && screen.parentNode) {
+                screen.parentNode.removeChild(screen);
+            }
+            screen = null;
+        };
+
+        var addButton = function (name, label, onClick) {
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'vwg-end-screen__button vwg-end-screen__' + name;
+            button.textContent = label;
+            button.addEventListener('click', function (e) {
+                // Keep the click from reaching the slide's play/pause toggle.
+                e.stopPropagation();
+                onClick(button);
+            });
+            screen.appendChild(button);
+            return button;
+        };
+
+        player.on('ended', function () {
+            if (player.loop()) {
+                return;
+            }
+
+            var hadFocus = player.el().contains(document.activeElement);
+
+            hide();
+            screen = document.createElement('div');
+            screen.className = 'vwg-end-screen';
+
+            var replay = addButton('replay', playerData.replay || 'Replay', function () {
+                hide();
+                seekAndPlay(player, 0);
+            });
+
+            if (options.next) {
+                addButton('next', playerData.nextVideo || 'Next video', function () {
+                    hide();
+                    options.next();
+                });
+            }
+
+            if (options.cartProductId) {
+                addButton('cart', playerData.addToCart || 'Add to cart', function (button) {
+                    addToCart(options.cartProductId, button);
+                });
+            }
+
+            player.el().appendChild(screen);
+
+            // Keyboard users land on Replay instead of losing focus.
+            if (hadFocus) {
+                replay.focus();
+            }
+        });
+
+        player.on('play', hide);
+    }
+
+    /**
+     * Count down over a Video.js player when its video finishes in playlist
+     * mode, then move the gallery on to its next slide.
+     *
+     * getNext(skipImages) is asked when the video ends and returns the
+     * function that shows the next slide (and plays it when it is a video),
+     * or null when the video is on the last slide. The countdown goes away
+     * when the video plays again or its Cancel button is clicked. Visitors
+     * whose playback is limited get no countdown, as it plays videos they
+     * did not start.
+     *
+     * @param {Object}   player  The Video.js player.
+     * @param {Function} getNext Returns the function showing the next slide, or null.
+     * @return {Object|null} Handle with cancel() for galleries to call when the slide is left, null when playlist mode is off.
+     */
+    function bindUpNext(player, getNext) {
+        var playlist = playerData.playlist || {};
+        if (!playlist.enabled || !player || isPlaybackLimited()) {
+            return null;
+        }
+
+        var box = null;
+        var timer = null;
+
+        var cancel = function () {
+            if (timer) {
+                window.clearInterval(timer);
+                timer = null;
+            }
+            if (box && box.parentNode) {
+                box.parentNode.removeChild(box);
+            }
+            box = null;
+        };
+
+        player.on('ended', function () {
+            var next = player.loop() ? null : getNext(!!playlist.skip_images);
+            if (!next) {
+                return;
+            }
+
+            cancel();
+
+            var seconds = Math.max(0, parseInt(playlist.countdown, 10) || 0);
+            if (seconds === 0) {
+                next();
+                return;
+            }
+
+            box = document.createElement('div');
+            box.className = 'vwg-up-next';
+
+            var text = document.createElement('span');
+            text.className = 'vwg-up-next__text';
+            box.appendChild(text);
+
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'vwg-up-next__cancel';
+            button.textContent = playerData.cancel || 'Cancel';
+            button.addEventListener('click', function (e) {
+                // Keep the click from reaching the slide's play/pause toggle.
+                e.stopPropagation();
+                cancel();
+            });
+            box.appendChild(button);
+
+            var update = function () {
+                text.textContent = (playerData.upNext || 'Up next in %s').replace('%s', seconds);
+            };
+            update();
+            player.el().appendChild(box);
+
+            timer = window.setInterval(function () {
+                seconds--;
+                if (seconds > 0) {
+                    update();
+                    return;
+                }
+
+                cancel();
+                next();
+            }, 1000);
+        });
+
+        player.on('play', cancel);
+        player.on('dispose', cancel);
+
+        return { cancel: cancel };
+    }
+
+    /**
+     * Set the start position and autoplay of a hosted video's embed URL.
+     *
+     * @param {string}  src      The current embed URL.
+     * @param {Object}  embed    Result of getProvider().
+     * @param {number}  time     Start position in seconds.
+     * @param {boolean} autoplay Whether the video should play once loaded.
+     * @return {string} The embed URL.
+     */
+    function getEmbedUrlAt(src, embed, time, autoplay) {
+        var provider = embed.provider;
+        var replaced = [];
+        var templates = [provider.start || '', provider.autoplay || ''].join('&').split('&');
+        for (var i = 0; i < templates.length; i++) {
+            if (templates[i]) {
+                replaced.push(templates[i].split('=')[0]);
+            }
+        }
+
+        var parts = String(src).split('?');
+        var query = [];
+        var params = parts[1] ? parts[1].split('&') : [];
+        for (var j = 0; j < params.length; j++) {
+            if (params[j] && replaced.indexOf(params[j].split('=')[0]) === -1) {
+                query.push(params[j]);
+            }
+        }
+
+        if (provider.start && time >= 1) {
+            query.push(provider.start.replace('{start}', Math.floor(time)));
+        }
+        if (autoplay && provider.autoplay) {
+            query.push(provider.autoplay);
+        }
+
+        return parts[0] + (query.length ? '?' + query.join('&') : '');
+    }
+
+    /**
+     * Check if autoplay and preloading should be skipped for this visitor,
+     * per the limits turned on in the settings (see vwg_get_playback_limits()).
+     *
+     * @return {boolean} True for click-to-play with preload="none".
+     */
+    function isPlaybackLimited() {
+        var limits = playerData.limits || {};
+
+        if (limits.reduced_motion && window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            return true;
+        }
+
+        var connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+        if (!connection) {
+            return false;
+        }
+        if (limits.save_data && connection.saveData) {
+            return true;
+        }
+
+        return !!limits.slow_connection && /^(slow-2g|2g|3g)$/.test(connection.effectiveType || '');
+    }
+
+    /**
+     * Move a player element, keeping it playing.
+     *
+     * Browsers with Element.moveBefore() move iframes without reloading
+     * them. Elsewhere a moved iframe reloads, so a hosted video is pointed
+     * at its current position first.
+     *
+     * @param {Object}      entry    Mini-player entry { el, player, embed }.
+     * @param {HTMLElement} parent   The new parent.
+     * @param {Node|null}   before   The node to insert before, null to append.
+     * @param {boolean}     autoplay Whether a reloaded hosted video should play.
+     */
+    function movePlayer(entry, parent, before, autoplay) {
+        if (typeof parent.moveBefore === 'function') {
+            try {
+                parent.moveBefore(entry.el, before);
+                return;
+            } catch (e) {
+                // Not movable this way, e.g. across documents.
+            }
+        }
+
+        var iframe = entry.embed ? entry.el.querySelector('iframe') : null;
+        if (iframe && iframe.src && iframe.src !== 'about:blank') {
+            iframe.src = getEmbedUrlAt(iframe.src, entry.embed, entry.player.currentTime(), autoplay);
+        }
+
+        parent.insertBefore(entry.el, before);
+    }
+
+    /**
+     * Build the mini-player overlay on first use.
+     *
+     * @return {HTMLElement} The overlay element.
+     */
+    function getMiniOverlay() {
+        if (miniOverlay) {
+            return miniOverlay;
+        }
+
+        miniOverlay = document.createElement('div');
+        miniOverlay.className = 'vwg-mini-player';
+        miniOverlay.setAttribute('role', 'region');
+        miniOverlay.setAttribute('aria-label', playerData.miniPlayerLabel || 'Video player');
+        miniOverlay.hidden = true;
+
+        var bar = document.createElement('div');
+        bar.className = 'vwg-mini-player__bar';
+
+        var back = document.createElement('button');
+        back.type = 'button';
+        back.className = 'vwg-mini-player__back';
+        back.textContent = playerData.backToGallery || 'Back to gallery';
+        back.addEventListener('click', function () {
+            var rootEl = miniPlayer && miniPlayer.rootEl;
+            dockPlayer();
+            if (rootEl) {
+                rootEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
+
+        var close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'vwg-mini-player__close';
+        close.setAttribute('aria-label', playerData.closeMiniPlayer || 'Close');
+        close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        close.addEventListener('click', function () {
+            if (miniPlayer) {
+                miniPlayer.player.pause();
+                dockPlayer(false);
+            }
+        });
+
+        var body = document.createElement('div');
+        body.className = 'vwg-mini-player__body';
+
+        bar.appendChild(back);
+        bar.appendChild(close);
+        miniOverlay.appendChild(bar);
+        miniOverlay.appendChild(body);
+        document.body.appendChild(miniOverlay);
+
+        return miniOverlay;
+    }
+
+    /**
+     * Move a playing video into the mini-player. A placeholder of the same
+     * height keeps the gallery from collapsing while the video is away.
+     *
+     * @param {HTMLElement} rootEl The gallery root element.
+     * @param {Object}      active { el, player }: the element to move and its player.
+     */
+    function floatPlayer(rootEl, active) {
+        if (miniPlayer) {
+            if (miniPlayer.el === active.el) {
+                return;
+            }
+            miniPlayer.player.pause();
+            dockPlayer(false);
+        }
+
+        var iframe = active.el.querySelector('iframe');
+        var embed = iframe ? getProvider(iframe.src) : null;
+        var overlay = getMiniOverlay();
+
+        var placeholder = document.createElement('div');
+        placeholder.className = 'vwg-mini-player-placeholder';
+        // Overlaid players (the block's video containers) take no room of their own.
+        if (window.getComputedStyle(active.el).position !== 'absolute') {
+            placeholder.style.height = active.el.offsetHeight + 'px';
+        }
+        active.el.parentNode.insertBefore(placeholder, active.el);
+
+        miniPlayer = {
+            el: active.el,
+            player: active.player,
+            embed: embed,
+            placeholder: placeholder,
+            rootEl: rootEl
+        };
+
+        overlay.classList.toggle('vwg-mini-player-vertical', !!(embed && embed.vertical));
+        overlay.hidden = false;
+        movePlayer(miniPlayer, overlay.querySelector('.vwg-mini-player__body'), null, true);
+
+        if (miniBound.indexOf(active.player) === -1) {
+            miniBound.push(active.player);
+            active.player.on('ended', function () {
+                if (miniPlayer && miniPlayer.player === active.player) {
+                    dockPlayer(false);
+                }
+            });
+        }
+    }
+
+    /**
+     * Put the mini-player's video back in its gallery.
+     *
+     * @param {boolean} [playing] Whether the video keeps playing; defaults to
+     *                            its current state.
+     */
+    function dockPlayer(playing) {
+        if (!miniPlayer) {
+            return;
+        }
+
+        var entry = miniPlayer;
+        miniPlayer = null;
+
+        if (playing === undefined) {
+            playing = !entry.player.paused();
+        }
+
+        movePlayer(entry, entry.placeholder.parentNode, entry.placeholder, playing);
+        entry.placeholder.parentNode.removeChild(entry.placeholder);
+        miniOverlay.hidden = true;
+    }
+
+    /**
+     * Float a gallery's playing video in the mini-player while the gallery
+     * is scrolled out of view, and dock it again when the gallery returns.
+     *
+     * @param {HTMLElement} rootEl    The gallery root element.
+     * @param {Function}    getActive Returns the gallery's active video as
+     *                                { el, player }, or null. el is the
+     *                                element moved into the overlay.
+     * @return {Function} Stops watching the gallery and docks its floating
+     *                    video, for VWG.destroy().
+     */
+    function setupMiniPlayer(rootEl, getActive) {
+        if (!playerData.miniPlayer || !('IntersectionObserver' in window)) {
+            return function () {};
+        }
+
+        var observer = new IntersectionObserver(function (entries) {
+            if (entries[entries.length - 1].isIntersecting) {
+                if (miniPlayer && miniPlayer.rootEl === rootEl) {
+                    dockPlayer();
+                }
+                return;
+            }
+
+            var active = getActive();
+            if (active && active.player && !active.player.paused()) {
+                floatPlayer(rootEl, active);
+            }
+        });
+        observer.observe(rootEl);
+
+        return function () {
+            observer.disconnect();
+            if (miniPlayer && miniPlayer.rootEl === rootEl) {
+                miniPlayer.player.pause();
+                dockPlayer(false);
+            }
+        };
+    }
+
+    /**
+     * Register a gallery type for VWG.init() and VWG.destroy(). Called by
+     * the gallery scripts when they load.
+     *
+     * @param {Object} type { selector, init, destroy }: the selector matching
+     *                      gallery roots, and functions starting and
+     *                      stopping one gallery root. init() must ignore
+     *                      galleries that are already started.
+     */
+    function registerGallery(type) {
+        galleryTypes.push(type);
+    }
+
+    /**
+     * Find the gallery roots matching a selector in an element, the element included.
+     *
+     * @param {Element|Document} rootEl   The element to search.
+     * @param {string}           selector Gallery root selector.
+     * @return {Array} The gallery roots.
+     */
+    function findGalleries(rootEl, selector) {
+        var found = rootEl.matches && rootEl.matches(selector) ? [rootEl] : [];
+
+        return found.concat(Array.prototype.slice.call(rootEl.querySelectorAll(selector)));
+    }
+
+    /**
+     * Start the galleries in an element.
+     *
+     * @param {Element|Document} [rootEl] A gallery or an element holding
+     *                                    galleries; defaults to the document.
+     */
+    function initGalleries(rootEl) {
+        rootEl = rootEl || document;
+
+        for (var i = 0; i < galleryTypes.length; i++) {
+            var galleries = findGalleries(rootEl, galleryTypes[i].selector);
+            for (var j = 0; j < galleries.length; j++) {
+                galleryTypes[i].init(galleries[j]);
+            }
+        }
+    }
+
+    /**
+     * Stop the galleries in an element: dispose their players and remove
+     * their listeners. The galleries can be started again with VWG.init().
+     *
+     * @param {Element|Document} [rootEl] A gallery or an element holding
+     *                                    galleries; defaults to the document.
+     */
+    function destroyGalleries(rootEl) {
+        rootEl = rootEl || document;
+
+        for (var i = 0; i < galleryTypes.length; i++) {
+            var galleries = findGalleries(rootEl, galleryTypes[i].selector);
+            for (var j = 0; j < galleries.length; j++) {
+                galleryTypes[i].destroy(galleries[j]);
+            }
+        }
+    }
+
+    /**
+     * Start galleries added to an element and stop galleries removed from it.
+     *
+     * Players moved around the page (the mini-player, the lightbox) are
+     * removed and added back in the same task, so only galleries that are
+     * still detached when the observer runs are stopped.
+     *
+     * @param {Element} [rootEl] The element to watch; defaults to document.body.
+     * @return {MutationObserver|null} The observer, or null when unsupported.
+     */
+    function observeGalleries(rootEl) {
+        if (!('MutationObserver' in window)) {
+            return null;
+        }
+
+        var observer = new MutationObserver(function (mutations) {
+            for (var i = 0; i < mutations.length; i++) {
+                var added = mutations[i].addedNodes;
+                var removed = mutations[i].removedNodes;
+
+                for (var j = 0; j < removed.length; j++) {
+                    if (removed[j].nodeType === 1 && !removed[j].isConnected) {
+                        destroyGalleries(removed[j]);
+                    }
+                }
+                for (var k = 0; k < added.length; k++) {
+                    if (added[k].nodeType === 1 && added[k].isConnected) {
+                        initGalleries(added[k]);
+                    }
+                }
+            }
+        });
+
+        observer.observe(rootEl || document.body, { childList: true, subtree: true });
+
+        return observer;
+    }
+
+    var seeded = window.vwgEmbedProviders || {};
+    for (var name in seeded) {
+        if (seeded.hasOwnProperty(name)) {
+            registerProvider(name, seeded[name]);
+        }
+    }
+
+    VWG.events = EVENTS;
+    VWG.registerProvider = registerProvider;
+    VWG.getProvider = getProvider;
+    VWG.getEmbedUrl = getEmbedUrl;
+    VWG.getEmbedAspectRatio = getEmbedAspectRatio;
+    VWG.getEmbedUrlAt = getEmbedUrlAt;
+    VWG.isPlaybackLimited = isPlaybackLimited;
+    VWG.hasConsent = hasConsent;
+    VWG.grantConsent = grantConsent;
+    VWG.requestEmbed = requestEmbed;
+    VWG.createEmbedPlayer = createEmbedPlayer;
+    VWG.getSourceType = getSourceType;
+    VWG.getSources = getSources;
+    VWG.appendSources = appendSources;
+    VWG.appendTracks = appendTracks;
+    VWG.dispatch = dispatch;
+    VWG.bindPlayerEvents = bindPlayerEvents;
+    VWG.slideActivated = slideActivated;
+    VWG.isActivationKey = isActivationKey;
+    VWG.keepVideoMarkup = keepVideoMarkup;
+    VWG.makePlayerAccessible = makePlayerAccessible;
+    VWG.rememberPlayback = rememberPlayback;
+    VWG.bindHotspots = bindHotspots;
+    VWG.bindEndScreen = bindEndScreen;
+    VWG.bindUpNext = bindUpNext;
+    VWG.setupMiniPlayer = setupMiniPlayer;
+    VWG.registerGallery = registerGallery;
+    VWG.init = initGalleries;
+    VWG.destroy = destroyGalleries;
+    VWG.observeGalleries = observeGalleries;
+
+    if (playerData.observe) {
+        if (document.body) {
+            observeGalleries(document.body);
+        } else {
+            document.addEventListener('DOMContentLoaded', function () {
+                observeGalleries(document.body);
+            });
+        }
+    }
+})(window, document);
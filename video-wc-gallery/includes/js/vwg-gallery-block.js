@@ -6,14 +6,40 @@
  * video thumbnails are inserted as regular <img> elements for native navigation,
  * then Video.js players are overlaid when the slide becomes active.
  *
+ * Picking a variation that has its own videos in the variations form selects
+ * the first of them; resetting the form selects the first slide again.
+ *
+ * In playlist mode a finished video selects the next slide once the "Up
+ * next" countdown ends, through its thumbnail or by scrolling the large
+ * image container when the block has no thumbnails (see VWG.bindUpNext()).
+ *
+ * The fullscreen dialog continues the video shown in the large image area
+ * from the same position, play state and volume. On close, the video the
+ * shopper watched last in the dialog continues in the large image area the
+ * same way, selecting its slide first when it is another video.
+ *
+ * Galleries added after the page loaded are started with VWG.init() and
+ * stopped with VWG.destroy(), see vwg-core.js.
+ *
  * @since 2.5
  */
-(function () {
+(function (VWG) {
     'use strict';
 
     var settings = window.vwgBlockData || {};
     var activePlayers = {};
     var dialogPlayers = {};
+    // Playlist mode countdowns of large image players, by video ID (see VWG.bindUpNext()).
+    var upNexts = {};
+    // Functions undoing each gallery's bindings, by gallery ID; run by destroyGallery().
+    var teardowns = {};
+    var dialogLoadObserver = null;
+    // The dialog video the shopper watched last, handed back to the large image area on close:
+    // { galleryEl, id, info, player } with player null for hosted videos.
+    var dialogVideo = null;
+
+    // Click-to-play with nothing preloaded for reduced motion, Data Saver or slow connections.
+    var limited = VWG.isPlaybackLimited();
 
     /**
      * Initialize all product gallery blocks on the page.
@@ -26,13 +52,14 @@
     }
 
     /**
-     * Initialize a single product gallery block.
+     * Initialize a single product gallery block. Galleries that are already
+     * initialized are left alone.
      *
      * @param {HTMLElement} galleryEl The gallery root element.
      */
     function initGallery(galleryEl) {
         var contextStr = galleryEl.getAttribute('data-wp-context');
-        if (!contextStr) {
+        if (!contextStr || galleryEl.hasAttribute('data-vwg-has-videos')) {
             return;
         }
 
@@ -50,6 +77,9 @@
 
         // Mark the gallery as having videos.
         galleryEl.setAttribute('data-vwg-has-videos', 'true');
+        galleryEl.setAttribute('data-vwg-product-id', context.vwgProductId || 0);
+        // Product added by the end screen's Add to cart button, 0 for none.
+        galleryEl.setAttribute('data-vwg-add-to-cart', context.vwgAddToCart || 0);
 
         // Setup large image video slides.
         setupLargeImageSlides(galleryEl, videoData);
@@ -59,6 +89,135 @@
 
         // Setup dialog video handling.
         setupDialogHandling(galleryEl, videoData);
+
+        // Jump to the videos of the variation the shopper picks.
+        bindVariationForm(galleryEl);
+    }
+
+    /**
+     * Stop a product gallery block: close its dialog players, remove its
+     * bindings, dispose its players and remove their containers, leaving
+     * the block's own slides.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     */
+    function destroyGallery(galleryEl) {
+        if (!galleryEl.hasAttribute('data-vwg-has-videos')) {
+            return;
+        }
+
+        var galleryId = getGalleryId(galleryEl);
+
+        var dialog = galleryEl.querySelector('.wc-block-product-gallery-dialog');
+        if (dialog && dialog.hasAttribute('open')) {
+            // The large image players are disposed next; there is nothing to hand back to.
+            dialogVideo = null;
+            onDialogClose(dialog);
+        }
+
+        var teardown = teardowns[galleryId] || [];
+        for (var i = 0; i < teardown.length; i++) {
+            teardown[i]();
+        }
+        delete teardowns[galleryId];
+
+        var players = activePlayers[galleryId] || {};
+        for (var id in players) {
+            if (players.hasOwnProperty(id)) {
+                try {
+                    players[id].dispose();
+                } catch (e) {
+                    // Player may have been disposed.
+                }
+            }
+        }
+        delete activePlayers[galleryId];
+
+        var containers = galleryEl.querySelectorAll('.vwg-block-video-container');
+        for (var j = 0; j < containers.length; j++) {
+            containers[j].parentNode.removeChild(containers[j]);
+        }
+
+        galleryEl.removeAttribute('data-vwg-has-videos');
+        galleryEl.removeAttribute('data-vwg-current-video');
+    }
+
+    /**
+     * Keep a function that undoes a binding of a gallery.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {Function}    fn        Function run by destroyGallery().
+     */
+    function addTeardown(galleryEl, fn) {
+        var galleryId = getGalleryId(galleryEl);
+        (teardowns[galleryId] = teardowns[galleryId] || []).push(fn);
+    }
+
+    /**
+     * Add an event listener that destroyGallery() removes again.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {EventTarget} target    The element to listen on.
+     * @param {string}      type      Event name.
+     * @param {Function}    handler   The listener.
+     * @param {boolean}     [capture] Listen in the capture phase.
+     */
+    function listen(galleryEl, target, type, handler, capture) {
+        target.addEventListener(type, handler, !!capture);
+        addTeardown(galleryEl, function () {
+            target.removeEventListener(type, handler, !!capture);
+        });
+    }
+
+    /**
+     * Show a variation's first video when the shopper picks the variation
+     * (vwg_videos from vwg_add_variation_videos_data()), and the first slide
+     * again when the variations form is reset. The variations form triggers
+     * jQuery events, so this needs jQuery, which the form itself loads.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     */
+    function bindVariationForm(galleryEl) {
+        var $ = window.jQuery;
+        if (!$) {
+            return;
+        }
+
+        var $form = $(galleryEl).closest('.product').find('form.variations_form');
+        if ($form.length === 0) {
+            $form = $('form.variations_form');
+        }
+
+        var jumped = false;
+
+        var onFound = function (e, variation) {
+            var index = variation && variation.vwg_videos && variation.vwg_videos[0];
+            var slide = index ? galleryEl.querySelector('.vwg-block-video-slide[data-vwg-video-index="' + index + '"]') : null;
+            if (!slide) {
+                return;
+            }
+
+            jumped = true;
+            // Let the block select the variation image first.
+            setTimeout(function () {
+                selectSlide(galleryEl, slide);
+            }, 100);
+        };
+
+        var onReset = function () {
+            var first = galleryEl.querySelector('.wc-block-product-gallery-large-image__wrapper');
+            if (jumped && first) {
+                jumped = false;
+                selectSlide(galleryEl, first);
+            }
+        };
+
+        $form.on('found_variation', onFound);
+        $form.on('reset_data', onReset);
+        addTeardown(galleryEl, function () {
+            $form.off('found_variation', onFound);
+            $form.off('reset_data', onReset);
+        });
     }
 
     /**
@@ -99,8 +258,10 @@
         }
 
         // Store video info on the element for later access.
+        li.setAttribute('data-vwg-video-id', syntheticId);
         li.setAttribute('data-vwg-video-url', videoInfo.url);
         li.setAttribute('data-vwg-video-thumb', videoInfo.thumb);
+        li.setAttribute('data-vwg-video-index', videoInfo.index);
 
         // Remove zoom and fullscreen classes from the poster image.
         imgEl.classList.remove(
@@ -109,22 +270,39 @@
         );
 
         // Prevent zoom mousemove handler.
-        imgEl.addEventListener('mousemove', function (e) {
+        listen(galleryEl, imgEl, 'mousemove', function (e) {
             e.stopPropagation();
             imgEl.style.transform = '';
             imgEl.style.transformOrigin = '';
         }, true);
 
         // Prevent mouseleave from trying to reset zoom.
-        imgEl.addEventListener('mouseleave', function (e) {
+        listen(galleryEl, imgEl, 'mouseleave', function (e) {
             e.stopPropagation();
         }, true);
 
         // Click handler: activate video player instead of opening dialog.
-        imgEl.addEventListener('click', function (e) {
+        listen(galleryEl, imgEl, 'click', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            activateVideoPlayer(li, videoInfo, galleryEl);
+        });
+
+        // The poster is the slide's play button; its alt is the video label.
+        // setupScrollDetection() makes it a tab stop while its slide is shown.
+        imgEl.setAttribute('role', 'button');
+        if (!('IntersectionObserver' in window)) {
+            imgEl.setAttribute('tabindex', '0');
+        }
+
+        listen(galleryEl, imgEl, 'keydown', function (e) {
+            if (!VWG.isActivationKey(e)) {
+                return;
+            }
             e.preventDefault();
             e.stopPropagation();
             activateVideoPlayer(li, videoInfo, galleryEl);
+            focusVideo(li.querySelector('.vwg-block-video-container'));
         });
     }
 
@@ -132,7 +310,7 @@
      * Create or show a Video.js player overlay on a video slide.
      *
      * @param {HTMLElement} li         The <li> slide element.
-     * @param {Object}      videoInfo  Video metadata { url, thumb }.
+     * @param {Object}      videoInfo  Video metadata { url, thumb, type, sources, tracks, index }.
      * @param {HTMLElement}  galleryEl  The gallery root element.
      */
     function activateVideoPlayer(li, videoInfo, galleryEl) {
@@ -141,10 +319,9 @@
         if (existingContainer) {
             // Player already exists — show it and play.
             existingContainer.style.display = '';
-            var existingVideo = existingContainer.querySelector('video');
-            if (existingVideo && typeof videojs !== 'undefined') {
+            var player = getContainerPlayer(galleryEl, existingContainer);
+            if (player) {
                 try {
-                    var player = videojs(existingVideo.id);
                     player.play();
                 } catch (e) {
                     // Player may have been disposed.
@@ -153,9 +330,10 @@
             return;
         }
 
-        // Check if this is a YouTube URL.
-        if (isYouTubeUrl(videoInfo.url)) {
-            createYouTubePlayer(li, videoInfo);
+        // Hosted videos (YouTube, Vimeo, ...) are embedded as iframes.
+        var embed = VWG.getProvider(videoInfo.url);
+        if (embed) {
+            createEmbedPlayer(li, videoInfo, embed, galleryEl);
             return;
         }
 
@@ -169,8 +347,9 @@
      * @param {HTMLElement} li        The <li> slide element.
      * @param {Object}      videoInfo Video metadata.
      * @param {HTMLElement}  galleryEl The gallery root element.
+     * @param {Object}      [state]   Playback state to continue from instead of playing from the start (see getPlayerState()).
      */
-    function createVideoJsPlayer(li, videoInfo, galleryEl) {
+    function createVideoJsPlayer(li, videoInfo, galleryEl, state) {
         var adaptClass = settings.adaptSizes ? '' : 'vjs-fluid';
         var videoId = 'vwg_block_video_' + Math.random().toString(36).substr(2, 9);
 
@@ -187,20 +366,19 @@
         videoEl.setAttribute('data-setup', '{}');
         videoEl.setAttribute('data-video-url', videoInfo.url);
 
-        if (settings.controls) {
+        var playback = getPlayback(videoInfo);
+        if (playback.controls) {
             videoEl.setAttribute('controls', '');
         }
-        if (settings.loop) {
+        if (playback.loop) {
             videoEl.setAttribute('loop', '');
         }
-        if (settings.muted) {
+        if (playback.muted) {
             videoEl.setAttribute('muted', '');
         }
 
-        var source = document.createElement('source');
-        source.src = videoInfo.url;
-        source.type = 'video/mp4';
-        videoEl.appendChild(source);
+        VWG.appendSources(videoEl, videoInfo);
+        VWG.appendTracks(videoEl, videoInfo);
 
         container.appendChild(videoEl);
 
@@ -216,43 +394,70 @@
         // Initialize Video.js.
         if (typeof videojs !== 'undefined') {
             var player = videojs(videoId, {}, function () {
-                this.play();
+                if (!state) {
+                    this.play();
+                }
             });
 
             // Store reference for cleanup.
-            var galleryId = galleryEl.getAttribute('data-vwg-gallery-id') ||
-                ('gallery_' + Math.random().toString(36).substr(2, 6));
-            galleryEl.setAttribute('data-vwg-gallery-id', galleryId);
-
-            if (!activePlayers[galleryId]) {
-                activePlayers[galleryId] = {};
-            }
-            activePlayers[galleryId][videoId] = player;
+            registerActivePlayer(galleryEl, videoId, player);
 
             // PRO Analytics: Attach tracking events to the dynamically created player.
             attachAnalyticsTracking(player, videoEl);
+
+            // Public vwg:* events.
+            VWG.bindPlayerEvents(player, galleryEl, describeVideo(galleryEl, videoInfo));
+            VWG.makePlayerAccessible(player, videoInfo.label);
+
+            // Resume position and remembered volume. Without autoplay the
+            // player only starts from the shopper's click, which may play sound.
+            VWG.rememberPlayback(player, describeVideo(galleryEl, videoInfo), { autoplay: playback.autoplay });
+            VWG.bindHotspots(player, videoInfo.hotspots, galleryEl, describeVideo(galleryEl, videoInfo));
+            VWG.bindEndScreen(player, {
+                next: getNextVideoSlide(galleryEl, li) ? function () {
+                    showNextVideo(galleryEl, li);
+                } : null,
+                cartProductId: parseInt(galleryEl.getAttribute('data-vwg-add-to-cart'), 10) || 0
+            });
+
+            var upNext = VWG.bindUpNext(player, function (skipImages) {
+                return getPlaylistNext(galleryEl, li, skipImages);
+            });
+            if (upNext) {
+                upNexts[videoId] = upNext;
+                player.on('dispose', function () {
+                    delete upNexts[videoId];
+                });
+            }
+
+            if (state) {
+                applyPlayerState(player, state);
+            }
         }
     }
 
     /**
-     * Create a YouTube iframe player.
+     * Create an iframe player for a hosted video.
      *
      * @param {HTMLElement} li        The <li> slide element.
      * @param {Object}      videoInfo Video metadata.
+     * @param {Object}      embed     Embed provider match from VWG.getProvider().
+     * @param {HTMLElement} galleryEl The gallery root element.
      */
-    function createYouTubePlayer(li, videoInfo) {
-        var container = document.createElement('div');
-        container.className = 'vwg-block-video-container vwg-block-youtube-container';
-
-        var iframe = document.createElement('iframe');
-        iframe.src = getYouTubeEmbedUrl(videoInfo.url);
-        iframe.setAttribute('allowfullscreen', '');
-        iframe.setAttribute('allow', 'autoplay; encrypted-media; picture-in-picture');
-        iframe.setAttribute('frameborder', '0');
-        iframe.style.width = '100%';
-        iframe.style.height = '100%';
-
-        container.appendChild(iframe);
+    function createEmbedPlayer(li, videoInfo, embed, galleryEl) {
+        var container = createEmbedContainer(embed, getPlayback(videoInfo), 'vwg-block-video-container', videoInfo.thumb, function (iframe) {
+            iframe.title = videoInfo.label || '';
+
+            // Providers with a postMessage API are paused and resumed like Video.js players.
+            var player = VWG.createEmbedPlayer(iframe, embed);
+            if (player) {
+                var playerId = 'vwg_block_embed_' + Math.random().toString(36).substr(2, 9);
+                // Called before createEmbedContainer() returns when no consent is needed.
+                iframe.parentNode.setAttribute('data-vwg-player-id', playerId);
+                registerActivePlayer(galleryEl, playerId, player);
+                VWG.bindPlayerEvents(player, galleryEl, describeVideo(galleryEl, videoInfo));
+            }
+        });
 
         var productImage = li.querySelector('.wc-block-components-product-image');
         if (productImage) {
@@ -317,15 +522,7 @@
 
             if (!isVisible) {
                 // Pause and hide the video.
-                var videoEl = videoContainer.querySelector('video');
-                if (videoEl && typeof videojs !== 'undefined') {
-                    try {
-                        var player = videojs(videoEl.id);
-                        player.pause();
-                    } catch (e) {
-                        // Ignore.
-                    }
-                }
+                pauseContainerPlayer(galleryEl, videoContainer);
                 videoContainer.style.display = 'none';
             }
         }
@@ -351,32 +548,59 @@
 
         // Use IntersectionObserver to detect visible slides.
         if ('IntersectionObserver' in window) {
+            // Lazy mode: hold autoplay back until the gallery itself is on screen.
+            var galleryInView = !settings.lazyLoad;
+            var pendingSlide = null;
+
+            if (settings.lazyLoad) {
+                var galleryObserver = new IntersectionObserver(function (entries) {
+                    galleryInView = entries[entries.length - 1].isIntersecting;
+                    if (galleryInView && pendingSlide) {
+                        activateVideoPlayer(pendingSlide.slide, pendingSlide.info, galleryEl);
+                        pendingSlide = null;
+                    }
+                }, {
+                    rootMargin: '200px 0px'
+                });
+                galleryObserver.observe(galleryEl);
+                addTeardown(galleryEl, function () {
+                    galleryObserver.disconnect();
+                });
+            }
+
             var observer = new IntersectionObserver(function (entries) {
                 for (var i = 0; i < entries.length; i++) {
                     var entry = entries[i];
                     var slide = entry.target;
 
                     if (!entry.isIntersecting) {
+                        if (pendingSlide && pendingSlide.slide === slide) {
+                            pendingSlide = null;
+                        }
+
+                        setSlideFocusable(galleryEl, slide, false);
+
                         // Slide left the viewport — pause and hide video.
                         var videoContainer = slide.querySelector('.vwg-block-video-container');
                         if (videoContainer) {
-                            var videoEl = videoContainer.querySelector('video');
-                            if (videoEl && typeof videojs !== 'undefined') {
-                                try {
-                                    videojs(videoEl.id).pause();
-                                } catch (e) {
-                                    // Ignore.
-                                }
-                            }
+                            pauseContainerPlayer(galleryEl, videoContainer);
                             videoContainer.style.display = 'none';
                         }
                     } else if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
                         // Slide entered the viewport.
-                        if (settings.autoplay) {
-                            var url = slide.getAttribute('data-vwg-video-url');
-                            var thumb = slide.getAttribute('data-vwg-video-thumb');
-                            if (url) {
-                                activateVideoPlayer(slide, { url: url, thumb: thumb }, galleryEl);
+                        var slideInfo = videoData[slide.getAttribute('data-vwg-video-id')];
+                        if (!slideInfo || !slideInfo.url) {
+                            continue;
+                        }
+
+                        setSlideFocusable(galleryEl, slide, true);
+                        VWG.slideActivated(galleryEl, describeVideo(galleryEl, slideInfo), getSlidePlayer(slide));
+
+                        if (getPlayback(slideInfo).autoplay) {
+                            if (galleryInView) {
+                                activateVideoPlayer(slide, slideInfo, galleryEl);
+                            } else {
+                                pendingSlide = { slide: slide, info: slideInfo };
                             }
                         }
                     }
@@ -389,15 +613,23 @@
             for (var i = 0; i < videoSlides.length; i++) {
                 observer.observe(videoSlides[i]);
             }
+            addTeardown(galleryEl, function () {
+                observer.disconnect();
+            });
         }
 
+        // Float the playing video while the shopper scrolls past the gallery.
+        addTeardown(galleryEl, VWG.setupMiniPlayer(galleryEl, function () {
+            return getPlayingVideo(galleryEl, container);
+        }));
+
         // Also listen for scroll events as a fallback.
-        container.addEventListener('scroll', debounce(function () {
+        listen(galleryEl, container, 'scroll', debounce(function () {
             hideInactiveVideoContainers(galleryEl);
         }, 200));
 
         // Listen for thumbnail clicks to manage video visibility.
-        galleryEl.addEventListener('click', function (e) {
+        listen(galleryEl, galleryEl, 'click', function (e) {
             var thumbnailImg = e.target.closest('.wc-block-product-gallery-thumbnails__thumbnail__image');
             if (thumbnailImg) {
                 // Short delay to allow interactivity API to process the selection first.
@@ -425,7 +657,7 @@
             for (var i = 0; i < mutations.length; i++) {
                 if (mutations[i].attributeName === 'open') {
                     if (dialog.hasAttribute('open')) {
-                        onDialogOpen(dialog, videoData);
+                        onDialogOpen(dialog, videoData, galleryEl);
                     } else {
                         onDialogClose(dialog);
                     }
@@ -434,6 +666,9 @@
         });
 
         dialogObserver.observe(dialog, { attributes: true, attributeFilter: ['open'] });
+        addTeardown(galleryEl, function () {
+            dialogObserver.disconnect();
+        });
     }
 
     /**
@@ -441,8 +676,9 @@
      *
      * @param {HTMLElement} dialog    The dialog element.
      * @param {Object}      videoData Video metadata.
+     * @param {HTMLElement} galleryEl The gallery root element.
      */
-    function onDialogOpen(dialog, videoData) {
+    function onDialogOpen(dialog, videoData, galleryEl) {
         var dialogContent = dialog.querySelector('.wc-block-product-gallery-dialog__content');
         if (!dialogContent) {
             return;
@@ -458,23 +694,41 @@
 
             var videoUrl = img.getAttribute('data-vwg-video-src');
             var thumbUrl = img.getAttribute('src');
+            var videoInfo = videoData[img.getAttribute('data-image-id')] || { url: videoUrl, thumb: thumbUrl };
+            var embed = VWG.getProvider(videoUrl);
 
-            if (isYouTubeUrl(videoUrl)) {
-                createDialogYouTubePlayer(img, videoUrl);
+            if (embed) {
+                createDialogEmbedPlayer(img, embed, galleryEl, videoInfo);
             } else {
-                createDialogVideoJsPlayer(img, videoUrl, thumbUrl);
+                createDialogVideoJsPlayer(img, videoUrl, thumbUrl, galleryEl, videoInfo);
             }
         }
+
+        // Opened while a video slide was shown: continue that video in the dialog and move focus to its player.
+        var currentId = galleryEl.getAttribute('data-vwg-current-video');
+        var currentImg = currentId ? dialogContent.querySelector('img[data-image-id="' + currentId + '"]') : null;
+        if (currentImg && currentImg.nextElementSibling) {
+            var currentContainer = currentImg.nextElementSibling;
+            takeOverInlinePlayer(galleryEl, currentId, videoData[currentId], currentContainer);
+
+            // After the dialog's own focus handling has run.
+            setTimeout(function () {
+                currentContainer.scrollIntoView({ block: 'center' });
+                focusVideo(currentContainer);
+            }, 0);
+        }
     }
 
     /**
      * Create a Video.js player in the dialog for a video poster image.
      *
-     * @param {HTMLImageElement} img      The poster image in the dialog.
-     * @param {string}           videoUrl The video URL.
-     * @param {string}           thumbUrl The thumbnail URL.
+     * @param {HTMLImageElement} img       The poster image in the dialog.
+     * @param {string}           videoUrl  The video URL.
+     * @param {string}           thumbUrl  The thumbnail URL.
+     * @param {HTMLElement}      galleryEl The gallery root element.
+     * @param {Object}           videoInfo Video metadata.
      */
-    function createDialogVideoJsPlayer(img, videoUrl, thumbUrl) {
+    function createDialogVideoJsPlayer(img, videoUrl, thumbUrl, galleryEl, videoInfo) {
         var adaptClass = settings.adaptSizes ? '' : 'vjs-fluid';
         var videoId = 'vwg_dialog_video_' + Math.random().toString(36).substr(2, 9);
 
@@ -484,27 +738,28 @@
         var videoEl = document.createElement('video');
         videoEl.id = videoId;
         videoEl.className = 'video-js ' + adaptClass + ' vwg_video_js';
-        videoEl.setAttribute('preload', 'auto');
+        // Lazy mode: the dialog lists every video, so load each one only once it is scrolled into view.
+        // Limited playback: load only when the shopper presses play.
+        videoEl.setAttribute('preload', settings.lazyLoad || limited ? 'none' : 'auto');
         videoEl.setAttribute('playsinline', '');
         videoEl.setAttribute('crossorigin', 'anonymous');
         videoEl.setAttribute('poster', thumbUrl);
         videoEl.setAttribute('data-setup', '{}');
         videoEl.setAttribute('data-video-url', videoUrl);
 
-        if (settings.controls) {
+        var playback = getPlayback(videoInfo);
+        if (playback.controls) {
             videoEl.setAttribute('controls', '');
         }
-        if (settings.loop) {
+        if (playback.loop) {
             videoEl.setAttribute('loop', '');
         }
-        if (settings.muted) {
+        if (playback.muted) {
             videoEl.setAttribute('muted', '');
         }
 
-        var source = document.createElement('source');
-        source.src = videoUrl;
-        source.type = 'video/mp4';
-        videoEl.appendChild(source);
+        VWG.appendSources(videoEl, videoInfo);
+        VWG.appendTracks(videoEl, videoInfo);
 
         container.appendChild(videoEl);
 
@@ -516,41 +771,230 @@
             var player = videojs(videoId);
             dialogPlayers[videoId] = player;
 
+            if (settings.lazyLoad && !limited) {
+                observeDialogPlayer(container, videoId);
+            }
+
             // PRO Analytics: Attach tracking events to the dialog player.
             attachAnalyticsTracking(player, videoEl);
+
+            // Public vwg:* events.
+            VWG.bindPlayerEvents(player, galleryEl, describeVideo(galleryEl, videoInfo));
+            VWG.makePlayerAccessible(player, videoInfo.label);
+
+            // Resume position; disposing the player on dialog close saves it.
+            VWG.rememberPlayback(player, describeVideo(galleryEl, videoInfo));
+            VWG.bindHotspots(player, videoInfo.hotspots, galleryEl, describeVideo(galleryEl, videoInfo));
+            VWG.bindEndScreen(player, {
+                cartProductId: parseInt(galleryEl.getAttribute('data-vwg-add-to-cart'), 10) || 0
+            });
+
+            // The video the shopper watches last is the one handed back on close.
+            player.on('play', function () {
+                dialogVideo = { galleryEl: galleryEl, id: img.getAttribute('data-image-id'), info: videoInfo, player: player };
+            });
         }
     }
 
     /**
-     * Create a YouTube iframe player in the dialog.
+     * Start loading a lazy dialog player once its container enters the viewport.
      *
-     * @param {HTMLImageElement} img      The poster image in the dialog.
-     * @param {string}           videoUrl The YouTube URL.
+     * @param {HTMLElement} container The player container.
+     * @param {string}      videoId   The video element ID.
      */
-    function createDialogYouTubePlayer(img, videoUrl) {
-        var container = document.createElement('div');
-        container.className = 'vwg-block-video-container vwg-block-dialog-video vwg-block-youtube-container';
+    function observeDialogPlayer(container, videoId) {
+        if (!('IntersectionObserver' in window)) {
+            dialogPlayers[videoId].preload('auto');
+            return;
+        }
 
-        var iframe = document.createElement('iframe');
-        iframe.src = getYouTubeEmbedUrl(videoUrl);
-        iframe.setAttribute('allowfullscreen', '');
-        iframe.setAttribute('allow', 'autoplay; encrypted-media; picture-in-picture');
-        iframe.setAttribute('frameborder', '0');
-        iframe.style.width = '100%';
-        iframe.style.height = '100%';
+        if (!dialogLoadObserver) {
+            dialogLoadObserver = new IntersectionObserver(function (entries) {
+                for (var i = 0; i < entries.length; i++) {
+                    if (!entries[i].isIntersecting) {
+                        continue;
+                    }
 
-        container.appendChild(iframe);
+                    var target = entries[i].target;
+                    dialogLoadObserver.unobserve(target);
+
+                    var player = dialogPlayers[target.getAttribute('data-vwg-video-id')];
+                    if (player) {
+                        player.preload('auto');
+                        if (player.readyState() === 0) {
+                            player.load();
+                        }
+                    }
+                }
+            }, {
+                rootMargin: '200px 0px'
+            });
+        }
+
+        container.setAttribute('data-vwg-video-id', videoId);
+        dialogLoadObserver.observe(container);
+    }
+
+    /**
+     * Create an iframe player for a hosted video in the dialog.
+     *
+     * @param {HTMLImageElement} img       The poster image in the dialog.
+     * @param {Object}           embed     Embed provider match from VWG.getProvider().
+     * @param {HTMLElement}      galleryEl The gallery root element.
+     * @param {Object}           videoInfo Video metadata.
+     */
+    function createDialogEmbedPlayer(img, embed, galleryEl, videoInfo) {
+        var container = createEmbedContainer(embed, getPlayback(videoInfo), 'vwg-block-video-container vwg-block-dialog-video', img.getAttribute('src'), function (iframe) {
+            iframe.title = videoInfo.label || '';
+
+            // Registered so closing the dialog stops it like the Video.js dialog players.
+            var player = VWG.createEmbedPlayer(iframe, embed);
+            if (player) {
+                dialogPlayers['vwg_dialog_embed_' + Math.random().toString(36).substr(2, 9)] = player;
+                VWG.bindPlayerEvents(player, galleryEl, describeVideo(galleryEl, videoInfo));
+
+                // Hosted videos only hand back which video was watched, not their position.
+                player.on('play', function () {
+                    dialogVideo = { galleryEl: galleryEl, id: img.getAttribute('data-image-id'), info: videoInfo, player: null };
+                });
+            }
+        });
+        container.style.aspectRatio = VWG.getEmbedAspectRatio(embed);
 
         img.style.display = 'none';
         img.parentNode.insertBefore(container, img.nextSibling);
     }
 
     /**
-     * Handle dialog closing — dispose dialog video players.
+     * Continue the video shown in the large image area in its dialog player,
+     * with the same position, play state and volume. The large image player
+     * is paused, so only one of them plays.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {string}      videoId   Synthetic image ID of the video.
+     * @param {Object}      videoInfo Video metadata.
+     * @param {HTMLElement} container The dialog's .vwg-block-video-container element.
+     */
+    function takeOverInlinePlayer(galleryEl, videoId, videoInfo, container) {
+        var slide = getVideoSlide(galleryEl, videoId);
+        var inlinePlayer = slide ? getSlidePlayer(slide) : null;
+        var player = container.querySelector('video') ? getContainerPlayer(galleryEl, container) : null;
+        if (!inlinePlayer || !player) {
+            return;
+        }
+
+        var state = getPlayerState(inlinePlayer);
+        inlinePlayer.pause();
+        applyPlayerState(player, state);
+
+        dialogVideo = { galleryEl: galleryEl, id: videoId, info: videoInfo, player: player };
+    }
+
+    /**
+     * Hand the video the shopper watched last in the dialog back to the
+     * large image area: select its slide when the shopper moved on to
+     * another video, and continue its player with the dialog player's
+     * position, play state and volume.
+     *
+     * @param {Object}      video The dialogVideo entry.
+     * @param {Object|null} state Playback state of the dialog player, null for hosted videos.
+     */
+    function handBackToInlinePlayer(video, state) {
+        var slide = getVideoSlide(video.galleryEl, video.id);
+        if (!slide) {
+            return;
+        }
+
+        if (video.galleryEl.getAttribute('data-vwg-current-video') !== video.id) {
+            selectSlide(video.galleryEl, slide);
+        }
+
+        if (!state) {
+            return;
+        }
+
+        var player = getSlidePlayer(slide);
+        if (player) {
+            slide.querySelector('.vwg-block-video-container').style.display = '';
+            applyPlayerState(player, state);
+        } else if (video.info && (state.playing || state.time > 0)) {
+            createVideoJsPlayer(slide, video.info, video.galleryEl, state);
+        }
+    }
+
+    /**
+     * Read the playback state of a Video.js player.
+     *
+     * @param {Object} player The Video.js player.
+     * @return {Object} { time, playing, volume, muted }
+     */
+    function getPlayerState(player) {
+        return {
+            // A video that ended starts over.
+            time: player.ended() ? 0 : player.currentTime() || 0,
+            playing: !player.paused(),
+            volume: player.volume(),
+            muted: player.muted()
+        };
+    }
+
+    /**
+     * Continue a Video.js player from another player's state. Runs after
+     * the player's ready handlers, so it wins over the remembered volume of
+     * VWG.rememberPlayback().
+     *
+     * @param {Object} player The Video.js player.
+     * @param {Object} state  Result of getPlayerState().
+     */
+    function applyPlayerState(player, state) {
+        player.ready(function () {
+            player.volume(state.volume);
+            player.muted(state.muted);
+
+            if (state.time > 0) {
+                // Lazy and limited players have loaded nothing yet.
+                if (player.readyState() === 0) {
+                    player.preload('auto');
+                    player.load();
+                }
+                if (player.readyState() >= 1) {
+                    player.currentTime(state.time);
+                } else {
+                    player.one('loadedmetadata', function () {
+                        player.currentTime(state.time);
+                    });
+                }
+            }
+
+            if (state.playing) {
+                var promise = player.play();
+                if (promise && typeof promise.catch === 'function') {
+                    promise.catch(function () {
+                        // Blocked by the browser; the shopper can press play.
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Handle dialog closing — dispose dialog video players. Self-hosted
+     * players save their position when disposed (VWG.rememberPlayback()).
+     * The video watched last continues in the large image area.
      *
      * @param {HTMLElement} dialog The dialog element.
      */
     function onDialogClose(dialog) {
+        // Read before the players are disposed.
+        var handBack = dialogVideo;
+        var handBackState = handBack && handBack.player ? getPlayerState(handBack.player) : null;
+        dialogVideo = null;
+
+        if (dialogLoadObserver) {
+            dialogLoadObserver.disconnect();
+            dialogLoadObserver = null;
+        }
+
         for (var id in dialogPlayers) {
             if (dialogPlayers.hasOwnProperty(id)) {
                 try {
@@ -572,6 +1016,10 @@
             }
             container.parentNode.removeChild(container);
         }
+
+        if (handBack) {
+            handBackToInlinePlayer(handBack, handBackState);
+        }
     }
 
     // --- Analytics Integration (PRO) ---
@@ -600,40 +1048,378 @@
     // --- Utility Functions ---
 
     /**
-     * Check if a URL is a YouTube URL.
+     * Build the video descriptor used in the public vwg:* event payloads.
      *
-     * @param {string} url The URL to check.
-     * @return {boolean} True if YouTube URL.
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {Object}      videoInfo Video metadata { url, index }.
+     * @return {Object} Video descriptor.
      */
-    function isYouTubeUrl(url) {
-        return /(?:youtube\.com|youtu\.be)/i.test(url);
+    function describeVideo(galleryEl, videoInfo) {
+        return {
+            productId: galleryEl.getAttribute('data-vwg-product-id'),
+            index: videoInfo.index,
+            url: videoInfo.url,
+            gallery: 'block'
+        };
     }
 
     /**
-     * Convert a YouTube URL to an embed URL.
+     * Get the playback settings of a video: its per-video overrides from
+     * vwg_get_video_playback(), or the general settings. Autoplay is off
+     * while playback is limited (VWG.isPlaybackLimited()).
      *
-     * @param {string} url The YouTube URL.
-     * @return {string} The embed URL.
+     * @param {Object} videoInfo Video metadata.
+     * @return {Object} { autoplay, loop, muted, controls }.
      */
-    function getYouTubeEmbedUrl(url) {
-        var match = url.match(/(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([a-zA-Z0-9_-]+)/);
-        if (match && match[1]) {
-            var params = '?enablejsapi=1';
-            if (settings.autoplay) {
-                params += '&autoplay=1';
+    function getPlayback(videoInfo) {
+        var playback = (videoInfo && videoInfo.playback) || {
+            autoplay: settings.autoplay,
+            loop: settings.loop,
+            muted: settings.muted,
+            controls: settings.controls
+        };
+
+        return {
+            autoplay: playback.autoplay && !limited,
+            loop: playback.loop,
+            muted: playback.muted,
+            controls: playback.controls
+        };
+    }
+
+    /**
+     * Get the video slide after a slide, or the first one after the last.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} li        The <li> slide element.
+     * @return {HTMLElement|null} The next video slide, or null when the gallery has one video.
+     */
+    function getNextVideoSlide(galleryEl, li) {
+        var slides = Array.prototype.slice.call(galleryEl.querySelectorAll('.vwg-block-video-slide'));
+        if (slides.length < 2) {
+            return null;
+        }
+
+        return slides[(slides.indexOf(li) + 1) % slides.length];
+    }
+
+    /**
+     * Show the video slide after a slide and play it.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} li        The <li> slide element of the video that ended.
+     */
+    function showNextVideo(galleryEl, li) {
+        var next = getNextVideoSlide(galleryEl, li);
+        if (next) {
+            playSlide(galleryEl, next);
+        }
+    }
+
+    /**
+     * Get the function moving playlist mode on from a slide whose video
+     * ended: to the next slide, or the next video slide when image slides
+     * are skipped. The last slide ends the playlist.
+     *
+     * @param {HTMLElement} galleryEl  The gallery root element.
+     * @param {HTMLElement} li         The <li> slide element of the video that ended.
+     * @param {boolean}     skipImages Pass over image slides.
+     * @return {Function|null} Shows the next slide, or null when there is none.
+     */
+    function getPlaylistNext(galleryEl, li, skipImages) {
+        var next = li.nextElementSibling;
+        while (next && skipImages && !next.classList.contains('vwg-block-video-slide')) {
+            next = next.nextElementSibling;
+        }
+
+        if (!next) {
+            return null;
+        }
+
+        return function () {
+            playSlide(galleryEl, next);
+        };
+    }
+
+    /**
+     * Show a slide and play it when it is a video slide.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} li        The <li> slide element.
+     */
+    function playSlide(galleryEl, li) {
+        selectSlide(galleryEl, li);
+
+        // The poster's click handler creates or resumes the player.
+        var poster = li.querySelector('img[data-vwg-video-src]');
+        if (poster) {
+            poster.click();
+        }
+    }
+
+    /**
+     * Show a slide of the large image area.
+     *
+     * The slide's thumbnail is clicked so the block's own store selects it;
+     * without thumbnails the large image container is scrolled to it.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} li        The <li> slide element.
+     */
+    function selectSlide(galleryEl, li) {
+        var img = li.querySelector('img[data-image-id]');
+        var thumbnail = img ? galleryEl.querySelector('.wc-block-product-gallery-thumbnails__thumbnail__image[data-image-id="' + img.getAttribute('data-image-id') + '"]') : null;
+        var container = galleryEl.querySelector('.wc-block-product-gallery-large-image__container');
+
+        if (thumbnail) {
+            thumbnail.click();
+        } else if (container) {
+            container.scrollTo({ left: li.offsetLeft, behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Keep a large image player so it can be paused when another slide is shown.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {string}      playerId  Player ID.
+     * @param {Object}      player    Video.js player or embed player.
+     */
+    function registerActivePlayer(galleryEl, playerId, player) {
+        var galleryId = getGalleryId(galleryEl);
+
+        if (!activePlayers[galleryId]) {
+            activePlayers[galleryId] = {};
+        }
+        activePlayers[galleryId][playerId] = player;
+    }
+
+    /**
+     * Get the ID of a gallery, giving it one first if needed.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @return {string} The gallery ID (data-vwg-gallery-id).
+     */
+    function getGalleryId(galleryEl) {
+        var galleryId = galleryEl.getAttribute('data-vwg-gallery-id') ||
+            ('gallery_' + Math.random().toString(36).substr(2, 6));
+        galleryEl.setAttribute('data-vwg-gallery-id', galleryId);
+
+        return galleryId;
+    }
+
+    /**
+     * Get the player of a video container: the Video.js player, or the embed
+     * player of a hosted video.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} container The .vwg-block-video-container element.
+     * @return {Object|null} The player or null.
+     */
+    function getContainerPlayer(galleryEl, container) {
+        var videoEl = container.querySelector('video');
+        if (videoEl) {
+            if (typeof videojs === 'undefined') {
+                return null;
             }
-            if (settings.muted) {
-                params += '&mute=1';
+            try {
+                return videojs.getPlayer(videoEl.id) || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        var galleryId = galleryEl.getAttribute('data-vwg-gallery-id');
+        var playerId = container.getAttribute('data-vwg-player-id');
+        if (!galleryId || !playerId || !activePlayers[galleryId]) {
+            return null;
+        }
+
+        return activePlayers[galleryId][playerId] || null;
+    }
+
+    /**
+     * Pause the player of a video container, if it has one.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} container The .vwg-block-video-container element.
+     */
+    function pauseContainerPlayer(galleryEl, container) {
+        // A playlist countdown would move the gallery away from the slide the shopper went to.
+        var videoEl = container.querySelector('video');
+        if (videoEl && upNexts[videoEl.id]) {
+            upNexts[videoEl.id].cancel();
+        }
+
+        var player = getContainerPlayer(galleryEl, container);
+        if (player) {
+            try {
+                player.pause();
+            } catch (e) {
+                // Player may have been disposed.
             }
-            if (settings.loop) {
-                params += '&loop=1&playlist=' + match[1];
+        }
+    }
+
+    /**
+     * Get the video that is playing in the large image area, for the
+     * floating mini-player.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} container The large image container.
+     * @return {Object|null} { el, player } or null when no video is playing.
+     */
+    function getPlayingVideo(galleryEl, container) {
+        var videoContainers = container.querySelectorAll('.vwg-block-video-container');
+        for (var i = 0; i < videoContainers.length; i++) {
+            var player = getContainerPlayer(galleryEl, videoContainers[i]);
+            try {
+                if (player && !player.paused()) {
+                    return { el: videoContainers[i], player: player };
+                }
+            } catch (e) {
+                // Player may have been disposed.
             }
-            if (!settings.controls) {
-                params += '&controls=0';
+        }
+
+        return null;
+    }
+
+    /**
+     * Make a video slide's poster a tab stop while the slide is shown, and
+     * remember it as the gallery's current video for the dialog.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {HTMLElement} slide     The <li> slide element.
+     * @param {boolean}     visible   Whether the slide is shown.
+     */
+    function setSlideFocusable(galleryEl, slide, visible) {
+        var poster = slide.querySelector('img[data-vwg-video-src]');
+        if (poster) {
+            poster.setAttribute('tabindex', visible ? '0' : '-1');
+        }
+
+        var videoId = slide.getAttribute('data-vwg-video-id');
+        if (visible) {
+            galleryEl.setAttribute('data-vwg-current-video', videoId);
+        } else if (galleryEl.getAttribute('data-vwg-current-video') === videoId) {
+            galleryEl.removeAttribute('data-vwg-current-video');
+        }
+    }
+
+    /**
+     * Move focus to the player in a video container: the consent poster's
+     * play button, the Video.js player or the embed iframe.
+     *
+     * @param {HTMLElement|null} container The .vwg-block-video-container element.
+     */
+    function focusVideo(container) {
+        if (!container) {
+            return;
+        }
+
+        var target = container.querySelector('.vwg-embed-facade__play') ||
+            container.querySelector('.video-js') ||
+            container.querySelector('iframe');
+        if (!target) {
+            return;
+        }
+
+        if (!target.hasAttribute('tabindex') && target.tagName !== 'BUTTON' && target.tagName !== 'IFRAME') {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    }
+
+    /**
+     * Find the large image slide of a video.
+     *
+     * @param {HTMLElement} galleryEl The gallery root element.
+     * @param {string}      videoId   Synthetic image ID of the video.
+     * @return {HTMLElement|null} The <li> slide element.
+     */
+    function getVideoSlide(galleryEl, videoId) {
+        var slides = galleryEl.querySelectorAll('.wc-block-product-gallery-large-image__container [data-vwg-video-id]');
+        for (var i = 0; i < slides.length; i++) {
+            if (slides[i].getAttribute('data-vwg-video-id') === videoId) {
+                return slides[i];
             }
-            return 'https://www.youtube.com/embed/' + match[1] + params;
         }
-        return url;
+
+        return null;
+    }
+
+    /**
+     * Get the Video.js player already created on a slide, if any.
+     *
+     * @param {HTMLElement} slide The <li> slide element.
+     * @return {Object|null} The player or null.
+     */
+    function getSlidePlayer(slide) {
+        var videoEl = slide.querySelector('.vwg-block-video-container video');
+        if (!videoEl || typeof videojs === 'undefined') {
+            return null;
+        }
+        try {
+            return videojs.getPlayer(videoEl.id) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the container for a hosted video. The iframe is added right away,
+     * or behind a click-to-load poster when consent is required.
+     *
+     * @param {Object}   embed     Embed provider match from VWG.getProvider().
+     * @param {Object}   playback  Playback settings from getPlayback().
+     * @param {string}   className Container class names.
+     * @param {string}   poster    Poster image URL for the consent facade.
+     * @param {Function} onIframe  Called with the iframe once it is added.
+     * @return {HTMLElement} The container holding the iframe or facade.
+     */
+    function createEmbedContainer(embed, playback, className, poster, onIframe) {
+        var container = document.createElement('div');
+        container.className = className + ' vwg-block-embed-container vwg-block-' + embed.name + '-container';
+        container.setAttribute('data-vwg-provider', embed.name);
+
+        // Vertical videos (YouTube Shorts) get a 9:16 player instead of black bars.
+        if (embed.vertical) {
+            container.className += ' vwg-block-embed-vertical';
+        }
+
+        VWG.requestEmbed(container, embed, poster, function (clicked) {
+            var iframe = createEmbedIframe(embed, playback, clicked);
+            container.appendChild(iframe);
+            onIframe(iframe);
+        });
+
+        return container;
+    }
+
+    /**
+     * Build the iframe of a hosted video.
+     *
+     * @param {Object}  embed    Embed provider match from VWG.getProvider().
+     * @param {Object}  playback Playback settings from getPlayback().
+     * @param {boolean} autoplay Start playing even if autoplay is off in the settings.
+     * @return {HTMLIFrameElement} The iframe.
+     */
+    function createEmbedIframe(embed, playback, autoplay) {
+        var iframe = document.createElement('iframe');
+        iframe.src = VWG.getEmbedUrl(embed, {
+            autoplay: playback.autoplay || autoplay,
+            muted: playback.muted,
+            loop: playback.loop,
+            controls: playback.controls
+        });
+        iframe.setAttribute('allowfullscreen', '');
+        iframe.setAttribute('allow', 'autoplay; encrypted-media; fullscreen; picture-in-picture');
+        iframe.setAttribute('frameborder', '0');
+        iframe.style.width = '100%';
+        iframe.style.height = '100%';
+
+        return iframe;
     }
 
     /**
@@ -657,9 +1443,15 @@
 
     // --- Bootstrap ---
 
+    VWG.registerGallery({
+        selector: '[data-wp-interactive="woocommerce/product-gallery"]',
+        init: initGallery,
+        destroy: destroyGallery
+    });
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
     } else {
         init();
     }
-})();
+})(window.VWG);
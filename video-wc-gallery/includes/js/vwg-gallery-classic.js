@@ -0,0 +1,984 @@
+/**
+ * Video Gallery for WooCommerce - Classic Gallery Controller
+ *
+ * Drives the Video.js players rendered inside the classic WooCommerce gallery
+ * (flexslider) and the Flatsome gallery (Flickity). Players are bound once per
+ * slide and paused or resumed from the slider's own change events instead of
+ * polling the DOM.
+ *
+ * In lazy mode the videos are rendered with preload="none" and only start
+ * loading once their slide is active and the gallery is in the viewport.
+ * Hosted videos (YouTube, Vimeo, ...) are rendered as iframes with a data-src
+ * that is loaded when the slide becomes active and unloaded when it is left.
+ * When consent is required, a click-to-load poster is shown over the iframe
+ * first (see VWG.requestEmbed()).
+ *
+ * Picking a variation that has its own videos in the product's variations
+ * form moves the slider to the first of them; resetting the form moves it
+ * back to the first slide.
+ *
+ * The PhotoSwipe lightbox of the bundled single-product.js shows the videos
+ * between the images: the player of the video being viewed is moved into the
+ * lightbox and back to its slide when the lightbox is closed.
+ *
+ * In playlist mode a finished video moves the slider (or the open lightbox)
+ * on to the next slide once the "Up next" countdown ends (see
+ * VWG.bindUpNext()).
+ *
+ * Galleries added after the page loaded are started with VWG.init() and
+ * stopped with VWG.destroy(), see vwg-core.js.
+ *
+ * @since 2.6
+ */
+(function ($, VWG) {
+    'use strict';
+
+    var settings = window.vwgClassicData || {};
+
+    /**
+     * Initialize all classic product galleries on the page.
+     */
+    function init() {
+        $('.woocommerce-product-gallery').each(function () {
+            initGallery($(this));
+        });
+    }
+
+    /**
+     * Initialize a single classic product gallery. Galleries that are
+     * already initialized are left alone.
+     *
+     * @param {jQuery} $gallery The .woocommerce-product-gallery element.
+     */
+    function initGallery($gallery) {
+        if ($gallery.data('vwg-controller')) {
+            return;
+        }
+
+        var $videoSlides = $gallery.find('.woocommerce-product-gallery__image[data-vwg-video]');
+        if ($videoSlides.length === 0 || typeof videojs === 'undefined') {
+            return;
+        }
+
+        var controller = {
+            $gallery: $gallery,
+            slides: [],
+            inView: true,
+            // Set while the slider shows a video picked through the variations form.
+            variationVideo: false,
+            // The open PhotoSwipe instance.
+            lightbox: null,
+            // Functions undoing the gallery's bindings, run by destroyGallery().
+            teardown: [],
+            videoCount: $videoSlides.length,
+            // Click-to-play with nothing preloaded for reduced motion, Data Saver or slow connections.
+            limited: VWG.isPlaybackLimited()
+        };
+        $gallery.data('vwg-controller', controller);
+
+        $videoSlides.each(function () {
+            var slide = bindSlide(controller, $(this));
+            if (slide) {
+                controller.slides.push(slide);
+            }
+        });
+
+        // Playback limits render every video with preload="none"; preload
+        // them as usual when the visitor turns out not to need them.
+        if (!settings.lazyLoad && !controller.limited) {
+            for (var i = 0; i < controller.slides.length; i++) {
+                if (controller.slides[i].player) {
+                    loadSlide(controller.slides[i]);
+                }
+            }
+        }
+
+        var onChange = function () {
+            onSlideChange(controller);
+        };
+
+        if (isFlatsome()) {
+            // Flickity emits namespaced jQuery events when jQuery is present.
+            listen(controller, $gallery.find('.product-gallery-slider'), 'change.flickity', onChange);
+        } else {
+            // Triggered by the bundled flexslider fork from its start() and after() callbacks.
+            listen(controller, $gallery, 'vwg_flexslider_start vwg_flexslider_after', onChange);
+            bindStockFlexslider(controller, onChange);
+        }
+
+        if (settings.lazyLoad) {
+            observeViewport(controller);
+        }
+
+        controller.teardown.push(VWG.setupMiniPlayer($gallery[0], function () {
+            return getMiniPlayerVideo(controller);
+        }));
+
+        bindVariationForm(controller);
+        bindLightbox(controller);
+
+        onSlideChange(controller);
+    }
+
+    /**
+     * Stop a classic product gallery: remove its bindings and dispose its
+     * players, putting the original self-hosted videos back so the gallery
+     * can be started again.
+     *
+     * @param {jQuery} $gallery The .woocommerce-product-gallery element.
+     */
+    function destroyGallery($gallery) {
+        var controller = $gallery.data('vwg-controller');
+        if (!controller) {
+            return;
+        }
+
+        // Closes the lightbox at once, putting the players back in their slides.
+        if (controller.lightbox) {
+            controller.lightbox.destroy();
+        }
+
+        for (var i = 0; i < controller.teardown.length; i++) {
+            controller.teardown[i]();
+        }
+
+        for (var j = 0; j < controller.slides.length; j++) {
+            var slide = controller.slides[j];
+
+            if (slide.$iframe) {
+                unloadEmbed(slide);
+                if (slide.embedPlayer) {
+                    slide.embedPlayer.dispose();
+                }
+            } else {
+                slide.player.dispose();
+                slide.restoreVideo();
+            }
+        }
+
+        toggleZoomTrigger($gallery, true);
+        $gallery.removeData('vwg-controller');
+    }
+
+    /**
+     * Bind a jQuery event handler that destroyGallery() removes again.
+     *
+     * @param {Object}   controller The gallery controller.
+     * @param {jQuery}   $el        The element(s) to bind.
+     * @param {string}   events     Event names.
+     * @param {Function} handler    The handler.
+     */
+    function listen(controller, $el, events, handler) {
+        $el.on(events, handler);
+        controller.teardown.push(function () {
+            $el.off(events, handler);
+        });
+    }
+
+    /**
+     * Make a flexslider that is not the bundled fork trigger vwg_flexslider_after
+     * too. The fork is only loaded on product pages with videos; galleries
+     * started with VWG.init() elsewhere (quick view, AJAX navigation) run on
+     * WooCommerce's own flexslider, which has no events.
+     *
+     * @param {Object}   controller The gallery controller.
+     * @param {Function} onChange   Handles a slide change.
+     */
+    function bindStockFlexslider(controller, onChange) {
+        var hooked = false;
+
+        var hook = function () {
+            var slider = controller.$gallery.data('flexslider');
+            if (hooked || !slider || slider.vwgEvents) {
+                return;
+            }
+            hooked = true;
+
+            var after = slider.vars.after;
+            slider.vars.after = function () {
+                after.apply(this, arguments);
+                slider.trigger('vwg_flexslider_after', [slider]);
+            };
+            controller.teardown.push(function () {
+                slider.vars.after = after;
+            });
+
+            // The slider has started without a vwg_flexslider_start event.
+            onChange();
+        };
+
+        hook();
+
+        // Sliders WooCommerce starts after the controller, e.g. in a quick view popup.
+        listen(controller, controller.$gallery, 'wc-product-gallery-after-init', hook);
+    }
+
+    /**
+     * Track whether the gallery is in the viewport and start the active slide
+     * once it scrolls into view.
+     *
+     * @param {Object} controller The gallery controller.
+     */
+    function observeViewport(controller) {
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+
+        controller.inView = false;
+
+        var observer = new IntersectionObserver(function (entries) {
+            var inView = entries[entries.length - 1].isIntersecting;
+            if (inView === controller.inView) {
+                return;
+            }
+            controller.inView = inView;
+
+            if (!inView) {
+                return;
+            }
+
+            for (var i = 0; i < controller.slides.length; i++) {
+                if (controller.slides[i].active) {
+                    startSlide(controller, controller.slides[i]);
+                }
+            }
+        }, {
+            rootMargin: '200px 0px'
+        });
+
+        observer.observe(controller.$gallery[0]);
+        controller.teardown.push(function () {
+            observer.disconnect();
+        });
+    }
+
+    /**
+     * Show a variation's first video when the shopper picks the variation
+     * (vwg_videos from vwg_add_variation_videos_data()), and the first slide
+     * again when the variations form is reset.
+     *
+     * @param {Object} controller The gallery controller.
+     */
+    function bindVariationForm(controller) {
+        var $form = controller.$gallery.closest('.product').find('form.variations_form');
+        if ($form.length === 0) {
+            return;
+        }
+
+        listen(controller, $form, 'found_variation', function (e, variation) {
+            var slide = variation && variation.vwg_videos && variation.vwg_videos.length
+                ? getSlideByIndex(controller, variation.vwg_videos[0])
+                : null;
+            if (!slide) {
+                return;
+            }
+
+            controller.variationVideo = true;
+            // WooCommerce moves the slider back to the first slide when it swaps in
+            // the variation image; jump once its handlers have run.
+            setTimeout(function () {
+                goToSlide(controller, slide.$el.index());
+            }, 50);
+        });
+
+        listen(controller, $form, 'reset_data', function () {
+            if (controller.variationVideo) {
+                controller.variationVideo = false;
+                goToSlide(controller, 0);
+            }
+        });
+    }
+
+    /**
+     * Show the videos in the PhotoSwipe lightbox opened by single-product.js
+     * (vwg_photoswipe_open). The player of the item being viewed is moved
+     * into the item; players of items left behind are paused, closing the
+     * lightbox pauses them all and they go back to their slides once the
+     * lightbox is destroyed.
+     *
+     * @param {Object} controller The gallery controller.
+     */
+    function bindLightbox(controller) {
+        listen(controller, controller.$gallery, 'vwg_photoswipe_open', function (e, photoswipe) {
+            var moved = [];
+            controller.lightbox = photoswipe;
+
+            var onChange = function () {
+                var item = photoswipe.currItem;
+                var slide = item && item.vwgVideo ? getSlideByIndex(controller, parseInt(item.vwgVideo, 10)) : null;
+
+                for (var i = 0; i < moved.length; i++) {
+                    if (moved[i].slide !== slide) {
+                        stopLightboxVideo(moved[i].slide);
+                    }
+                }
+
+                if (!slide) {
+                    return;
+                }
+
+                if (!slide.inLightbox) {
+                    var el = getPlayerElement(slide);
+                    moved.push({ slide: slide, el: el, parent: el.parentNode, next: el.nextSibling });
+                    slide.inLightbox = true;
+                    item.html.appendChild(el);
+
+                    // The slide's play/pause toggle stays behind; the item takes over.
+                    if (slide.player && !slide.player.controls()) {
+                        $(item.html).on('click', function () {
+                            togglePlayback(slide.player);
+                        });
+                    }
+                }
+
+                startLightboxVideo(controller, slide);
+            };
+
+            onChange();
+            photoswipe.listen('afterChange', onChange);
+
+            photoswipe.listen('close', function () {
+                for (var i = 0; i < moved.length; i++) {
+                    stopLightboxVideo(moved[i].slide);
+                }
+            });
+
+            photoswipe.listen('destroy', function () {
+                for (var i = 0; i < moved.length; i++) {
+                    var entry = moved[i];
+                    entry.parent.insertBefore(entry.el, entry.next);
+                    entry.slide.inLightbox = false;
+
+                    // The active slide's hosted video was unloaded on close.
+                    if (entry.slide.$iframe && entry.slide.active) {
+                        startSlide(controller, entry.slide);
+                    }
+                }
+                moved = [];
+                controller.lightbox = null;
+            });
+        });
+    }
+
+    /**
+     * Load a video shown in the lightbox, playing it when the shopper asked
+     * for it (e.g. with the end screen's Next video button).
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {Object} slide      Slide state.
+     */
+    function startLightboxVideo(controller, slide) {
+        if (slide.$iframe) {
+            loadEmbed(slide);
+            return;
+        }
+
+        if (!controller.limited) {
+            loadSlide(slide);
+        }
+
+        if (slide.resumeOnActivate) {
+            slide.resumeOnActivate = false;
+            playSafely(slide.player);
+        }
+    }
+
+    /**
+     * Stop a video shown in the lightbox.
+     *
+     * @param {Object} slide Slide state.
+     */
+    function stopLightboxVideo(slide) {
+        if (slide.$iframe) {
+            unloadEmbed(slide);
+            return;
+        }
+
+        if (slide.upNext) {
+            slide.upNext.cancel();
+        }
+        slide.player.pause();
+    }
+
+    /**
+     * Get the element of a slide's player: the Video.js player or the
+     * hosted video's iframe container.
+     *
+     * @param {Object} slide Slide state.
+     * @return {Element} The player element.
+     */
+    function getPlayerElement(slide) {
+        return slide.$iframe ? slide.$iframe.parent()[0] : slide.player.el();
+    }
+
+    /**
+     * Find the slide of a video.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {number} index      1-based position of the video in the product's video list.
+     * @return {Object|null} Slide state, or null when the video is not in the gallery.
+     */
+    function getSlideByIndex(controller, index) {
+        for (var i = 0; i < controller.slides.length; i++) {
+            if (parseInt(controller.slides[i].video.index, 10) === index) {
+                return controller.slides[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the active slide's video for the floating mini-player.
+     *
+     * @param {Object} controller The gallery controller.
+     * @return {Object|null} { el, player } or null when no video slide is active.
+     */
+    function getMiniPlayerVideo(controller) {
+        for (var i = 0; i < controller.slides.length; i++) {
+            var slide = controller.slides[i];
+            if (!slide.active) {
+                continue;
+            }
+
+            if (slide.$iframe) {
+                // Only hosted videos with a player API report that they are playing.
+                return slide.embedPlayer ? { el: getPlayerElement(slide), player: slide.embedPlayer } : null;
+            }
+
+            return { el: getPlayerElement(slide), player: slide.player };
+        }
+
+        return null;
+    }
+
+    /**
+     * Bind a Video.js player to its slide. Runs exactly once per slide.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {jQuery} $slide     The slide element holding the video.
+     * @return {Object|null} Slide state or null when there is no player.
+     */
+    function bindSlide(controller, $slide) {
+        var $iframe = $slide.find('.woocommerce-product-gallery__vwg_video iframe[data-src]');
+        if ($iframe.length) {
+            return bindEmbedSlide(controller, $slide, $iframe);
+        }
+
+        var $video = $slide.find('.woocommerce-product-gallery__vwg_video video');
+        var videoId = $video.attr('id');
+        if (!videoId) {
+            return null;
+        }
+
+        // Disposing the player removes the <video>; destroyGallery() puts it back.
+        var restoreVideo = VWG.keepVideoMarkup($video[0]);
+        var player = videojs(videoId);
+        var slide = {
+            $el: $slide,
+            player: player,
+            restoreVideo: restoreVideo,
+            video: {
+                productId: $slide.attr('data-vwg-product-id'),
+                index: $slide.attr('data-vwg-video'),
+                url: $slide.find('.woocommerce-product-gallery__vwg_video').attr('href'),
+                gallery: 'classic'
+            },
+            // Lazy mode renders data-vwg-autoplay instead of the native attribute.
+            autoplay: !controller.limited && ($video.attr('autoplay') !== undefined || $video.attr('data-vwg-autoplay') !== undefined),
+            loop: $video.attr('loop') !== undefined,
+            loaded: $video.attr('preload') !== 'none',
+            active: null,
+            inLightbox: false,
+            resumeOnActivate: false,
+            ended: false,
+            // Playlist mode countdown, see VWG.bindUpNext().
+            upNext: null
+        };
+
+        // Without controls the slide itself is the play/pause toggle.
+        if (!player.controls()) {
+            listen(controller, $slide, 'click', function () {
+                togglePlayback(player);
+            });
+        }
+
+        player.on('play', function () {
+            // The native autoplay attribute also starts videos on hidden slides.
+            if (slide.active === false && !slide.inLightbox) {
+                player.pause();
+                return;
+            }
+            slide.ended = false;
+        });
+
+        if (!slide.loop) {
+            player.on('ended', function () {
+                player.currentTime(0);
+                slide.ended = true;
+            });
+        }
+
+        VWG.bindPlayerEvents(player, controller.$gallery[0], slide.video);
+        VWG.makePlayerAccessible(player, $slide.attr('data-thumb-alt'));
+        VWG.rememberPlayback(player, slide.video, { autoplay: slide.autoplay });
+        VWG.bindHotspots(player, $slide.data('vwg-hotspots'), controller.$gallery[0], slide.video);
+        VWG.bindEndScreen(player, {
+            next: controller.videoCount > 1 ? function () {
+                showNextVideo(controller, slide);
+            } : null,
+            cartProductId: parseInt($slide.attr('data-vwg-add-to-cart'), 10) || 0
+        });
+        slide.upNext = VWG.bindUpNext(player, function (skipImages) {
+            return getPlaylistNext(controller, slide, skipImages);
+        });
+
+        return slide;
+    }
+
+    /**
+     * Bind a hosted video (iframe) slide.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {jQuery} $slide     The slide element holding the embed.
+     * @param {jQuery} $iframe    The embed iframe.
+     * @return {Object} Slide state.
+     */
+    function bindEmbedSlide(controller, $slide, $iframe) {
+        var url = $slide.find('.woocommerce-product-gallery__vwg_video').attr('href');
+        var embed = VWG.getProvider(url);
+        var src = $iframe.attr('data-src');
+
+        // Playback limits: load the player without the autoplay parameter.
+        if (controller.limited && embed) {
+            src = VWG.getEmbedUrlAt(src, embed, embed.start, false);
+        }
+
+        return {
+            $el: $slide,
+            $iframe: $iframe,
+            player: null,
+            // Tracks whether the video is playing, for the mini-player.
+            embedPlayer: embed ? VWG.createEmbedPlayer($iframe[0], embed) : null,
+            embed: embed,
+            src: src,
+            poster: $slide.attr('data-thumb'),
+            embedRequest: null,
+            consented: false,
+            inLightbox: false,
+            video: {
+                productId: $slide.attr('data-vwg-product-id'),
+                index: $slide.attr('data-vwg-video'),
+                url: url,
+                gallery: 'classic'
+            },
+            active: null
+        };
+    }
+
+    /**
+     * Pause players on slides that became inactive and resume the active one.
+     *
+     * @param {Object} controller The gallery controller.
+     */
+    function onSlideChange(controller) {
+        var hasActiveVideo = false;
+
+        for (var i = 0; i < controller.slides.length; i++) {
+            var slide = controller.slides[i];
+            var isActive = slide.$el.hasClass(activeSlideClass());
+
+            if (isActive) {
+                hasActiveVideo = true;
+            }
+
+            if (isActive === slide.active) {
+                continue;
+            }
+            slide.active = isActive;
+
+            if (isActive) {
+                activateSlide(controller, slide);
+            } else {
+                deactivateSlide(slide);
+            }
+        }
+
+        toggleZoomTrigger(controller.$gallery, !hasActiveVideo);
+        updateThumbnails(controller);
+    }
+
+    /**
+     * Make the flexslider nav thumbnails of video slides keyboard operable
+     * and mark the active one with aria-current.
+     *
+     * The nav is built by flexslider's start(), so thumbnails are set up on
+     * the first slide change that finds them.
+     *
+     * @param {Object} controller The gallery controller.
+     */
+    function updateThumbnails(controller) {
+        if (isFlatsome()) {
+            return;
+        }
+
+        var $thumbs = controller.$gallery.find('.flex-control-thumbs li');
+        if ($thumbs.length === 0) {
+            return;
+        }
+
+        for (var i = 0; i < controller.slides.length; i++) {
+            var slide = controller.slides[i];
+            var $img = $thumbs.eq(slide.$el.index()).find('img');
+            if ($img.length === 0) {
+                continue;
+            }
+
+            if (!$img.attr('data-vwg-thumb')) {
+                bindThumbnail(controller, $img, slide);
+            }
+
+            if (slide.active) {
+                $img.attr('aria-current', 'true');
+            } else {
+                $img.removeAttr('aria-current');
+            }
+        }
+    }
+
+    /**
+     * Turn a video's nav thumbnail into a focusable button.
+     *
+     * flexslider changes slides on any keyup over a thumbnail, so keys other
+     * than Enter and Space (e.g. Tab moving focus onto it) are stopped.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {jQuery} $img       The thumbnail image.
+     * @param {Object} slide      Slide state of the video.
+     */
+    function bindThumbnail(controller, $img, slide) {
+        $img.attr({
+            'data-vwg-thumb': '1',
+            tabindex: '0',
+            role: 'button',
+            // "Play video 2: Blue T-Shirt"
+            alt: slide.$el.attr('data-thumb-alt')
+        });
+
+        controller.teardown.push(function () {
+            $img.removeAttr('data-vwg-thumb aria-current');
+        });
+
+        listen(controller, $img, 'keydown', function (e) {
+            // Space would scroll the page.
+            if (VWG.isActivationKey(e.originalEvent)) {
+                e.preventDefault();
+            }
+        });
+        listen(controller, $img, 'keyup', function (e) {
+            if (!VWG.isActivationKey(e.originalEvent)) {
+                e.stopPropagation();
+                return;
+            }
+
+            // The label promises playback: start the video once flexslider shows its slide.
+            if (slide.player) {
+                if (slide.active) {
+                    playSafely(slide.player);
+                } else {
+                    slide.resumeOnActivate = true;
+                }
+            }
+        });
+    }
+
+    /**
+     * Resume a player whose slide became active.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {Object} slide      Slide state.
+     */
+    function activateSlide(controller, slide) {
+        if (slide.player) {
+            slide.player.userActive(true);
+        }
+        VWG.slideActivated(controller.$gallery[0], slide.video, slide.player);
+
+        startSlide(controller, slide);
+    }
+
+    /**
+     * Load and, when due, play the active slide's video. Waits until the
+     * gallery is in the viewport.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {Object} slide      Slide state.
+     */
+    function startSlide(controller, slide) {
+        if (!controller.inView) {
+            return;
+        }
+
+        if (slide.$iframe) {
+            loadEmbed(slide);
+            return;
+        }
+
+        // Limited playback: the video downloads once the shopper presses play.
+        if (!controller.limited) {
+            loadSlide(slide);
+        }
+
+        if (slide.resumeOnActivate || (slide.autoplay && !slide.ended)) {
+            slide.resumeOnActivate = false;
+            playSafely(slide.player);
+        }
+    }
+
+    /**
+     * Switch a lazily rendered video from preload="none" to loading its media.
+     *
+     * @param {Object} slide Slide state.
+     */
+    function loadSlide(slide) {
+        if (slide.loaded) {
+            return;
+        }
+        slide.loaded = true;
+
+        slide.player.preload('auto');
+        if (slide.player.readyState() === 0) {
+            slide.player.load();
+        }
+    }
+
+    /**
+     * Load the iframe of a hosted video slide, behind the consent poster
+     * until the visitor plays it once or gives consent.
+     *
+     * @param {Object} slide Slide state.
+     */
+    function loadEmbed(slide) {
+        if (slide.embedRequest || slide.$iframe.attr('src') === slide.src) {
+            return;
+        }
+
+        // Loading the iframe starts it when the provider's autoplay parameter is set.
+        if (slide.consented || !slide.embed) {
+            slide.$iframe.attr('src', slide.src);
+            return;
+        }
+
+        slide.embedRequest = VWG.requestEmbed(slide.$iframe.parent()[0], slide.embed, slide.poster, function (clicked) {
+            slide.embedRequest = null;
+            slide.consented = true;
+            slide.$iframe.attr('src', clicked ? slide.$iframe.attr('data-autoplay-src') : slide.src);
+        });
+    }
+
+    /**
+     * Pause a player whose slide is no longer active.
+     *
+     * @param {Object} slide Slide state.
+     */
+    function deactivateSlide(slide) {
+        if (slide.$iframe) {
+            unloadEmbed(slide);
+            return;
+        }
+
+        slide.player.userActive(false);
+
+        if (slide.upNext) {
+            slide.upNext.cancel();
+        }
+
+        if (!slide.player.paused()) {
+            slide.resumeOnActivate = true;
+            slide.player.pause();
+        }
+    }
+
+    /**
+     * Stop a hosted video slide: cancel its consent poster and unload the iframe.
+     *
+     * @param {Object} slide Slide state.
+     */
+    function unloadEmbed(slide) {
+        if (slide.embedRequest) {
+            slide.embedRequest.cancel();
+            slide.embedRequest = null;
+        }
+
+        // Unloading is the only provider-independent way to stop an embed.
+        if (slide.$iframe.attr('src')) {
+            slide.$iframe.attr('src', 'about:blank');
+        }
+    }
+
+    /**
+     * Move the slider (or the open lightbox) to the video after a slide's
+     * video, or back to the first one, and play it.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {Object} slide      Slide state of the video that ended.
+     */
+    function showNextVideo(controller, slide) {
+        var next = controller.slides[(controller.slides.indexOf(slide) + 1) % controller.slides.length];
+        if (!next || next === slide) {
+            return;
+        }
+
+        // Hosted videos load (and autoplay, when set) as usual once their slide is shown.
+        if (next.player) {
+            next.resumeOnActivate = true;
+        }
+
+        showSlide(controller, next.$el[0]);
+    }
+
+    /**
+     * Get the function moving playlist mode on from a slide whose video
+     * ended: to the next slide, or the next video slide when image slides
+     * are skipped. The last slide ends the playlist.
+     *
+     * @param {Object}  controller The gallery controller.
+     * @param {Object}  slide      Slide state of the video that ended.
+     * @param {boolean} skipImages Pass over image slides.
+     * @return {Function|null} Shows the next slide, or null when there is none.
+     */
+    function getPlaylistNext(controller, slide, skipImages) {
+        var nextEl = slide.$el.nextAll(skipImages ? '.woocommerce-product-gallery__image[data-vwg-video]' : '.woocommerce-product-gallery__image')[0];
+        if (!nextEl) {
+            return null;
+        }
+
+        return function () {
+            for (var i = 0; i < controller.slides.length; i++) {
+                // Hosted videos load (and autoplay, when set) as usual once their slide is shown.
+                if (controller.slides[i].$el[0] === nextEl && controller.slides[i].player) {
+                    controller.slides[i].resumeOnActivate = true;
+                }
+            }
+
+            showSlide(controller, nextEl);
+        };
+    }
+
+    /**
+     * Show a slide in the slider, or in the lightbox while it is open.
+     *
+     * @param {Object}  controller The gallery controller.
+     * @param {Element} el         The .woocommerce-product-gallery__image slide element.
+     */
+    function showSlide(controller, el) {
+        if (controller.lightbox) {
+            var items = controller.lightbox.items;
+            for (var i = 0; i < items.length; i++) {
+                if (items[i].slide === el) {
+                    controller.lightbox.goTo(i);
+                    return;
+                }
+            }
+            return;
+        }
+
+        goToSlide(controller, $(el).index());
+    }
+
+    /**
+     * Move the slider to a slide. A flexslider that is still animating
+     * ignores new targets, so the move waits for the animation to end.
+     *
+     * @param {Object} controller The gallery controller.
+     * @param {number} position   0-based position of the slide.
+     */
+    function goToSlide(controller, position) {
+        if (isFlatsome()) {
+            controller.$gallery.find('.product-gallery-slider').flickity('select', position);
+            return;
+        }
+
+        var slider = controller.$gallery.data('flexslider');
+        if (!slider) {
+            return;
+        }
+
+        if (slider.animating) {
+            controller.$gallery.one('vwg_flexslider_after', function () {
+                controller.$gallery.flexslider(position);
+            });
+        } else {
+            controller.$gallery.flexslider(position);
+        }
+    }
+
+    /**
+     * Play a paused player, pause a playing one.
+     *
+     * @param {Object} player The Video.js player.
+     */
+    function togglePlayback(player) {
+        if (player.paused()) {
+            player.play();
+        } else {
+            player.pause();
+        }
+    }
+
+    /**
+     * Call play() and swallow the rejected promise browsers return when autoplay is blocked.
+     *
+     * @param {Object} player The Video.js player.
+     */
+    function playSafely(player) {
+        var promise = player.play();
+        if (promise && typeof promise.catch === 'function') {
+            promise.catch(function () {
+                // Autoplay blocked by the browser — the shopper can still press play.
+            });
+        }
+    }
+
+    /**
+     * Hide the zoom/lightbox trigger while a video slide is active.
+     *
+     * @param {jQuery}  $gallery The gallery element.
+     * @param {boolean} visible  Whether the trigger should be visible.
+     */
+    function toggleZoomTrigger($gallery, visible) {
+        var $trigger = isFlatsome()
+            ? $('a[href="#product-zoom"]')
+            : $gallery.find('.woocommerce-product-gallery__trigger');
+
+        $trigger.toggle(visible);
+    }
+
+    /**
+     * @return {boolean} True when the Flatsome (Flickity) gallery is in use.
+     */
+    function isFlatsome() {
+        return settings.theme === 'Flatsome';
+    }
+
+    /**
+     * @return {string} The class the active slider uses to mark the current slide.
+     */
+    function activeSlideClass() {
+        return isFlatsome() ? 'is-selected' : 'flex-active-slide';
+    }
+
+    // --- Bootstrap ---
+
+    VWG.registerGallery({
+        selector: '.woocommerce-product-gallery',
+        init: function (el) {
+            initGallery($(el));
+        },
+        destroy: function (el) {
+            destroyGallery($(el));
+        }
+    });
+
+    $(init);
+})(jQuery, window.VWG);
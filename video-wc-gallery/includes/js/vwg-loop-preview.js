@@ -0,0 +1,144 @@
+/**
+ * Video Gallery for WooCommerce - Shop Loop Video Previews
+ *
+ * Plays the muted, looping preview video of a product card (rendered by
+ * functions/loop-preview.php) while the shopper hovers or focuses the card.
+ * On touch screens, which cannot hover, the card plays while most of it is
+ * in view. Only one preview plays at a time, and none play for visitors
+ * whose playback is limited (see VWG.isPlaybackLimited()).
+ *
+ * @since 2.6
+ */
+(function (window, document, VWG) {
+    'use strict';
+
+    /**
+     * The preview that is playing.
+     */
+    var current = null;
+
+    /**
+     * Bind all previews on the page.
+     */
+    function init() {
+        if (VWG.isPlaybackLimited()) {
+            return;
+        }
+
+        var previews = document.querySelectorAll('.vwg-loop-preview');
+        if (previews.length === 0) {
+            return;
+        }
+
+        var canHover = window.matchMedia && window.matchMedia('(hover: hover)').matches;
+        var observer = !canHover && 'IntersectionObserver' in window ? new IntersectionObserver(function (entries) {
+            for (var i = 0; i < entries.length; i++) {
+                if (entries[i].isIntersecting) {
+                    play(entries[i].target);
+                } else {
+                    stop(entries[i].target);
+                }
+            }
+        }, {
+            threshold: 0.75
+        }) : null;
+
+        for (var i = 0; i < previews.length; i++) {
+            if (canHover) {
+                bindHover(previews[i]);
+            } else if (observer) {
+                observer.observe(previews[i]);
+            }
+        }
+    }
+
+    /**
+     * Play a preview while its card is hovered or has focus.
+     *
+     * @param {HTMLElement} preview The .vwg-loop-preview element.
+     */
+    function bindHover(preview) {
+        var card = preview.closest('.product') || preview;
+
+        var onEnter = function () {
+            play(preview);
+        };
+        var onLeave = function (e) {
+            // Focus moving between the card's own links keeps it playing.
+            if (e.type === 'focusout' && card.contains(e.relatedTarget)) {
+                return;
+            }
+            stop(preview);
+        };
+
+        card.addEventListener('mouseenter', onEnter);
+        card.addEventListener('mouseleave', onLeave);
+        card.addEventListener('focusin', onEnter);
+        card.addEventListener('focusout', onLeave);
+    }
+
+    /**
+     * Start a preview, stopping the one that was playing. The video fades
+     * in once it actually plays, so the thumbnail shows while it loads.
+     *
+     * @param {HTMLElement} preview The .vwg-loop-preview element.
+     */
+    function play(preview) {
+        var video = preview.querySelector('video');
+        if (!video || current === preview) {
+            return;
+        }
+
+        if (current) {
+            stop(current);
+        }
+        current = preview;
+
+        if (!video.getAttribute('data-vwg-bound')) {
+            video.setAttribute('data-vwg-bound', '1');
+            video.addEventListener('playing', function () {
+                if (current === preview) {
+                    preview.classList.add('vwg-loop-preview-playing');
+                }
+            });
+        }
+
+        video.muted = true;
+        var promise = video.play();
+        if (promise && typeof promise.catch === 'function') {
+            promise.catch(function () {
+                // Autoplay blocked by the browser — the thumbnail stays.
+            });
+        }
+    }
+
+    /**
+     * Stop a preview and rewind it, so it starts over next time.
+     *
+     * @param {HTMLElement} preview The .vwg-loop-preview element.
+     */
+    function stop(preview) {
+        var video = preview.querySelector('video');
+        if (!video) {
+            return;
+        }
+
+        if (current === preview) {
+            current = null;
+        }
+        preview.classList.remove('vwg-loop-preview-playing');
+
+        video.pause();
+        if (video.readyState > 0) {
+            video.currentTime = 0;
+        }
+    }
+
+    // --- Bootstrap ---
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(window, document, window.VWG);
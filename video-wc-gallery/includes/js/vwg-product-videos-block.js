@@ -0,0 +1,109 @@
+/**
+ * Video Gallery for WooCommerce - Product Videos Block (editor)
+ *
+ * Registers the "Product videos" block in the block editor. The block is
+ * rendered on the server like the [vwg_product_videos] shortcode (see
+ * functions/product-videos.php), so it only saves its attributes and
+ * previews the server output while editing.
+ *
+ * @since 2.6
+ */
+(function (wp) {
+    'use strict';
+
+    var el = wp.element.createElement;
+    var __ = wp.i18n.__;
+    var InspectorControls = wp.blockEditor.InspectorControls;
+    var useBlockProps = wp.blockEditor.useBlockProps;
+    var PanelBody = wp.components.PanelBody;
+    var TextControl = wp.components.TextControl;
+    var SelectControl = wp.components.SelectControl;
+    var Placeholder = wp.components.Placeholder;
+    var ServerSideRender = wp.serverSideRender;
+
+    /**
+     * Convert a number field's value to a non-negative integer.
+     *
+     * @param {string} value The field value.
+     * @return {number} The integer, 0 when empty or invalid.
+     */
+    function toInt(value) {
+        var number = parseInt(value, 10);
+        return isNaN(number) || number < 0 ? 0 : number;
+    }
+
+    /**
+     * Render the block's settings and preview in the editor.
+     *
+     * @param {Object} props Block props.
+     * @return {Object} The editor element.
+     */
+    function edit(props) {
+        var attributes = props.attributes;
+        var setAttributes = props.setAttributes;
+
+        var controls = el(InspectorControls, null,
+            el(PanelBody, { title: __('Product videos', 'video-wc-gallery') },
+                el(TextControl, {
+                    label: __('Product ID', 'video-wc-gallery'),
+                    type: 'number',
+                    min: 0,
+                    value: attributes.productId || '',
+                    help: __('Leave empty to use the current product.', 'video-wc-gallery'),
+                    onChange: function (value) {
+                        setAttributes({ productId: toInt(value) });
+                    }
+                }),
+                el(SelectControl, {
+                    label: __('Layout', 'video-wc-gallery'),
+                    value: attributes.layout,
+                    options: [
+                        { label: __('Grid', 'video-wc-gallery'), value: 'grid' },
+                        { label: __('Slider', 'video-wc-gallery'), value: 'slider' }
+                    ],
+                    onChange: function (value) {
+                        setAttributes({ layout: value });
+                    }
+                }),
+                el(TextControl, {
+                    label: __('Video number', 'video-wc-gallery'),
+                    type: 'number',
+                    min: 0,
+                    value: attributes.index || '',
+                    help: __('Show only this video, e.g. 2 for the second one. Leave empty to show all videos.', 'video-wc-gallery'),
+                    onChange: function (value) {
+                        setAttributes({ index: toInt(value) });
+                    }
+                })
+            )
+        );
+
+        var preview = el(ServerSideRender, {
+            block: 'vwg/product-videos',
+            attributes: attributes,
+            EmptyResponsePlaceholder: function () {
+                return el(Placeholder, {
+                    icon: 'video-alt3',
+                    label: __('Product videos', 'video-wc-gallery'),
+                    instructions: __('The product has no videos. Set a product ID in the block settings.', 'video-wc-gallery')
+                });
+            }
+        });
+
+        return el('div', useBlockProps(), controls, preview);
+    }
+
+    wp.blocks.registerBlockType('vwg/product-videos', {
+        apiVersion: 2,
+        title: __('Product videos', 'video-wc-gallery'),
+        description: __('Show the videos of a WooCommerce product.', 'video-wc-gallery'),
+        category: 'widgets',
+        icon: 'video-alt3',
+        keywords: [__('video', 'video-wc-gallery'), __('woocommerce', 'video-wc-gallery')],
+        edit: edit,
+        save: function () {
+            // Rendered on the server.
+            return null;
+        }
+    });
+})(window.wp);
@@ -0,0 +1,471 @@
+/**
+ * Video Gallery for WooCommerce - Product Videos Shortcode and Block
+ *
+ * Starts the videos rendered by [vwg_product_videos] and the Product videos
+ * block (functions/product-videos.php). Video.js players get the same
+ * events, resume position, hotspots, end screen and playlist mode as the
+ * product gallery; hosted videos load once they are in view, behind the
+ * consent poster when consent is required.
+ *
+ * Only one video plays at a time. Videos with autoplay start when they are
+ * scrolled into view, and videos scrolled out of view are paused. The
+ * slider layout scrolls one video at a time with its previous and next
+ * buttons.
+ *
+ * Videos added after the page loaded are started with VWG.init() and
+ * stopped with VWG.destroy(), see vwg-core.js.
+ *
+ * @since 2.6
+ */
+(function (window, document, VWG) {
+    'use strict';
+
+    /**
+     * Started video lists: { root, items, teardown }.
+     */
+    var instances = [];
+
+    /**
+     * Start all video lists on the page.
+     */
+    function init() {
+        var roots = document.querySelectorAll('.vwg-product-videos');
+        for (var i = 0; i < roots.length; i++) {
+            initVideos(roots[i]);
+        }
+    }
+
+    /**
+     * Start a video list. Lists that are already started are left alone.
+     *
+     * @param {HTMLElement} root The .vwg-product-videos element.
+     */
+    function initVideos(root) {
+        if (getInstance(root) || typeof videojs === 'undefined') {
+            return;
+        }
+
+        var instance = {
+            root: root,
+            items: [],
+            teardown: [],
+            // Click-to-play with nothing preloaded for reduced motion, Data Saver or slow connections.
+            limited: VWG.isPlaybackLimited()
+        };
+        instances.push(instance);
+
+        var itemEls = root.querySelectorAll('.vwg-product-videos__item');
+        for (var i = 0; i < itemEls.length; i++) {
+            instance.items.push(bindItem(instance, itemEls[i]));
+        }
+
+        if (root.classList.contains('vwg-product-videos--slider')) {
+            bindSlider(instance);
+        }
+
+        observeItems(instance);
+    }
+
+    /**
+     * Stop a video list: remove its bindings and dispose its players, putting
+     * the original self-hosted videos back so the list can be started again.
+     *
+     * @param {HTMLElement} root The .vwg-product-videos element.
+     */
+    function destroyVideos(root) {
+        var instance = getInstance(root);
+        if (!instance) {
+            return;
+        }
+
+        for (var i = 0; i < instance.teardown.length; i++) {
+            instance.teardown[i]();
+        }
+
+        for (var j = 0; j < instance.items.length; j++) {
+            var item = instance.items[j];
+            if (item.player) {
+                item.player.dispose();
+                item.restoreVideo();
+            } else {
+                unloadEmbed(item);
+                if (item.embedPlayer) {
+                    item.embedPlayer.dispose();
+                }
+            }
+        }
+
+        instances.splice(instances.indexOf(instance), 1);
+    }
+
+    /**
+     * Find the started list of a root element.
+     *
+     * @param {HTMLElement} root The .vwg-product-videos element.
+     * @return {Object|null} The instance, or null when the list is not started.
+     */
+    function getInstance(root) {
+        for (var i = 0; i < instances.length; i++) {
+            if (instances[i].root === root) {
+                return instances[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Add an event listener that destroyVideos() removes again.
+     *
+     * @param {Object}      instance The video list.
+     * @param {EventTarget} target   The element to listen on.
+     * @param {string}      type     Event name.
+     * @param {Function}    handler  The listener.
+     */
+    function listen(instance, target, type, handler) {
+        target.addEventListener(type, handler);
+        instance.teardown.push(function () {
+            target.removeEventListener(type, handler);
+        });
+    }
+
+    /**
+     * Start the player of a video.
+     *
+     * @param {Object}      instance The video list.
+     * @param {HTMLElement} el       The .vwg-product-videos__item element.
+     * @return {Object} Item state.
+     */
+    function bindItem(instance, el) {
+        var root = instance.root;
+        var item = {
+            el: el,
+            player: null,
+            embedPlayer: null,
+            video: {
+                productId: root.getAttribute('data-vwg-product-id'),
+                index: el.getAttribute('data-vwg-video'),
+                url: el.getAttribute('data-vwg-video-url'),
+                gallery: 'product-videos'
+            },
+            autoplay: false,
+            inView: false,
+            // Playlist mode countdown, see VWG.bindUpNext().
+            upNext: null
+        };
+
+        var iframe = el.querySelector('iframe[data-src]');
+        if (iframe) {
+            item.$iframe = iframe;
+            item.embed = VWG.getProvider(item.video.url);
+            item.src = iframe.getAttribute('data-src');
+            item.embedRequest = null;
+
+            // Playback limits: load the player without the autoplay parameter.
+            if (instance.limited && item.embed) {
+                item.src = VWG.getEmbedUrlAt(item.src, item.embed, item.embed.start, false);
+            }
+
+            // Providers with a postMessage API are paused like Video.js players.
+            item.embedPlayer = item.embed ? VWG.createEmbedPlayer(iframe, item.embed) : null;
+            if (item.embedPlayer) {
+                item.embedPlayer.on('play', function () {
+                    pauseOthers(instance, item);
+                });
+                VWG.bindPlayerEvents(item.embedPlayer, root, item.video);
+            }
+
+            return item;
+        }
+
+        var videoEl = el.querySelector('video');
+        // Disposing the player removes the <video>; destroyVideos() puts it back.
+        item.restoreVideo = VWG.keepVideoMarkup(videoEl);
+        var player = videojs(videoEl);
+        var hotspots = el.getAttribute('data-vwg-hotspots');
+
+        item.player = player;
+        item.autoplay = !instance.limited && videoEl.hasAttribute('data-vwg-autoplay');
+
+        player.on('play', function () {
+            pauseOthers(instance, item);
+        });
+
+        VWG.bindPlayerEvents(player, root, item.video);
+        VWG.makePlayerAccessible(player, el.getAttribute('data-vwg-label'));
+        VWG.rememberPlayback(player, item.video, { autoplay: item.autoplay });
+        VWG.bindHotspots(player, hotspots ? JSON.parse(hotspots) : [], root, item.video);
+        VWG.bindEndScreen(player, {
+            next: root.querySelectorAll('.vwg-product-videos__item').length > 1 ? function () {
+                showNextVideo(instance, item);
+            } : null,
+            cartProductId: parseInt(root.getAttribute('data-vwg-add-to-cart'), 10) || 0
+        });
+        item.upNext = VWG.bindUpNext(player, function () {
+            // Only videos here, so there are no images to skip.
+            var next = instance.items[instance.items.indexOf(item) + 1];
+            return next ? function () {
+                showItem(instance, next);
+                startItem(next, true);
+            } : null;
+        });
+
+        return item;
+    }
+
+    /**
+     * Load hosted videos and autoplay videos once they are in view, and stop
+     * videos that leave the view. Inside the slider, videos scrolled to the
+     * side are out of view too.
+     *
+     * @param {Object} instance The video list.
+     */
+    function observeItems(instance) {
+        if (!('IntersectionObserver' in window)) {
+            for (var i = 0; i < instance.items.length; i++) {
+                if (instance.items[i].$iframe) {
+                    loadEmbed(instance.items[i], false);
+                }
+            }
+            return;
+        }
+
+        var observer = new IntersectionObserver(function (entries) {
+            for (var i = 0; i < entries.length; i++) {
+                var item = getItem(instance, entries[i].target);
+                var inView = entries[i].intersectionRatio >= 0.5;
+                if (!item || inView === item.inView) {
+                    continue;
+                }
+                item.inView = inView;
+
+                if (inView) {
+                    startItem(item, false);
+                } else {
+                    stopItem(item);
+                }
+            }
+        }, {
+            threshold: [0, 0.5]
+        });
+
+        for (var j = 0; j < instance.items.length; j++) {
+            observer.observe(instance.items[j].el);
+        }
+        instance.teardown.push(function () {
+            observer.disconnect();
+        });
+    }
+
+    /**
+     * Find the item of a .vwg-product-videos__item element.
+     *
+     * @param {Object}      instance The video list.
+     * @param {HTMLElement} el       The item element.
+     * @return {Object|null} Item state.
+     */
+    function getItem(instance, el) {
+        for (var i = 0; i < instance.items.length; i++) {
+            if (instance.items[i].el === el) {
+                return instance.items[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Load a video that came into view and play it when due.
+     *
+     * @param {Object}  item Item state.
+     * @param {boolean} play Play it even without autoplay (the end screen's Next video).
+     */
+    function startItem(item, play) {
+        if (item.$iframe) {
+            loadEmbed(item, play);
+            return;
+        }
+
+        if (play || item.autoplay) {
+            playSafely(item.player);
+        }
+    }
+
+    /**
+     * Stop a video that left the view.
+     *
+     * @param {Object} item Item state.
+     */
+    function stopItem(item) {
+        if (item.upNext) {
+            item.upNext.cancel();
+        }
+
+        if (item.player) {
+            item.player.pause();
+        } else if (item.embedPlayer) {
+            item.embedPlayer.pause();
+        } else {
+            unloadEmbed(item);
+        }
+    }
+
+    /**
+     * Pause the other videos of a list when one starts playing.
+     *
+     * @param {Object} instance The video list.
+     * @param {Object} playing  Item state of the video that started.
+     */
+    function pauseOthers(instance, playing) {
+        for (var i = 0; i < instance.items.length; i++) {
+            var item = instance.items[i];
+            if (item === playing) {
+                continue;
+            }
+
+            if (item.player && !item.player.paused()) {
+                item.player.pause();
+            } else if (item.embedPlayer && !item.embedPlayer.paused()) {
+                item.embedPlayer.pause();
+            }
+        }
+    }
+
+    /**
+     * Load the iframe of a hosted video, behind the consent poster until the
+     * visitor plays it once or gives consent.
+     *
+     * @param {Object}  item Item state.
+     * @param {boolean} play Load it with the provider's autoplay parameter.
+     */
+    function loadEmbed(item, play) {
+        if (item.embedRequest || (item.$iframe.getAttribute('src') && item.$iframe.getAttribute('src') !== 'about:blank')) {
+            return;
+        }
+
+        var load = function (clicked) {
+            item.embedRequest = null;
+            item.$iframe.setAttribute('src', clicked || play ? item.$iframe.getAttribute('data-autoplay-src') : item.src);
+        };
+
+        if (!item.embed) {
+            load(false);
+            return;
+        }
+
+        item.embedRequest = VWG.requestEmbed(item.$iframe.parentNode, item.embed, item.$iframe.parentNode.getAttribute('data-poster'), load);
+    }
+
+    /**
+     * Stop a hosted video: cancel its consent poster and unload the iframe.
+     *
+     * @param {Object} item Item state.
+     */
+    function unloadEmbed(item) {
+        if (item.embedRequest) {
+            item.embedRequest.cancel();
+            item.embedRequest = null;
+        }
+
+        // Unloading is the only provider-independent way to stop an embed.
+        if (item.$iframe.getAttribute('src')) {
+            item.$iframe.setAttribute('src', 'about:blank');
+        }
+    }
+
+    /**
+     * Bind the previous and next buttons of the slider layout.
+     *
+     * @param {Object} instance The video list.
+     */
+    function bindSlider(instance) {
+        var track = instance.root.querySelector('.vwg-product-videos__track');
+        var prev = instance.root.querySelector('.vwg-product-videos__prev');
+        var next = instance.root.querySelector('.vwg-product-videos__next');
+
+        if (prev) {
+            listen(instance, prev, 'click', function () {
+                showItem(instance, instance.items[(getCurrentIndex(track, instance) - 1 + instance.items.length) % instance.items.length]);
+            });
+        }
+        if (next) {
+            listen(instance, next, 'click', function () {
+                showItem(instance, instance.items[(getCurrentIndex(track, instance) + 1) % instance.items.length]);
+            });
+        }
+    }
+
+    /**
+     * Get the position of the video the slider shows.
+     *
+     * @param {HTMLElement} track    The slider track.
+     * @param {Object}      instance The video list.
+     * @return {number} 0-based position.
+     */
+    function getCurrentIndex(track, instance) {
+        return Math.max(0, Math.min(instance.items.length - 1, Math.round(track.scrollLeft / (track.clientWidth || 1))));
+    }
+
+    /**
+     * Scroll a video into view: the slider scrolls its track, the grid
+     * scrolls the page when the video is off screen.
+     *
+     * @param {Object} instance The video list.
+     * @param {Object} item     Item state.
+     */
+    function showItem(instance, item) {
+        var track = instance.root.querySelector('.vwg-product-videos__track');
+        var behavior = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+
+        if (instance.root.classList.contains('vwg-product-videos--slider')) {
+            track.scrollTo({ left: item.el.offsetLeft, behavior: behavior });
+        } else {
+            item.el.scrollIntoView({ behavior: behavior, block: 'nearest' });
+        }
+    }
+
+    /**
+     * Show the video after an item's video, or the first one after the
+     * last, and play it.
+     *
+     * @param {Object} instance The video list.
+     * @param {Object} item     Item state of the video that ended.
+     */
+    function showNextVideo(instance, item) {
+        var next = instance.items[(instance.items.indexOf(item) + 1) % instance.items.length];
+        if (!next || next === item) {
+            return;
+        }
+
+        showItem(instance, next);
+        startItem(next, true);
+    }
+
+    /**
+     * Call play() and swallow the rejected promise browsers return when autoplay is blocked.
+     *
+     * @param {Object} player The Video.js player.
+     */
+    function playSafely(player) {
+        var promise = player.play();
+        if (promise && typeof promise.catch === 'function') {
+            promise.catch(function () {
+                // Autoplay blocked by the browser — the shopper can still press play.
+            });
+        }
+    }
+
+    // --- Bootstrap ---
+
+    VWG.registerGallery({
+        selector: '.vwg-product-videos',
+        init: initVideos,
+        destroy: destroyVideos
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(window, document, window.VWG);
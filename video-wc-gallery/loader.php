@@ -17,6 +17,39 @@ require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'admin/admin-ui-setup.php' );
 // Do supports for themes
 require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/theme-supports.php' );
 
+// Video source type helpers
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/video-sources.php' );
+
+// Video caption / subtitle tracks
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/video-tracks.php' );
+
+// Per-video playback overrides
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/video-playback.php' );
+
+// Shoppable hotspots (timed overlays that select a variation or add to cart)
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/video-hotspots.php' );
+
+// End screen (replay, next video, add to cart)
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/end-screen.php' );
+
+// Playlist mode (auto-advance with an "Up next" countdown)
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/playlist.php' );
+
+// Videos assigned to product variations
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/variation-videos.php' );
+
+// Muted video previews on shop loop cards
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/loop-preview.php' );
+
+// [vwg_product_videos] shortcode and Product videos block
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/product-videos.php' );
+
+// Per-product display overrides (video first, sizing, play icon)
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/product-display.php' );
+
+// Embed providers (YouTube, Vimeo, Wistia, Dailymotion)
+require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/embed-providers.php' );
+
 // Do plugin operations
 require_once( VWG_VIDEO_WOO_GALLERY_DIR . 'functions/do.php' );
 
@@ -30,6 +30,14 @@ if ($option['vwg_settings_remove_videos_data'] == 1) {
         )
     );
 
+    // Delete all instances of the 'vwg_variation_videos' custom field
+    $wpdb->query(
+        $wpdb->prepare(
+            "DELETE FROM $wpdb->postmeta WHERE meta_key = %s",
+            'vwg_variation_videos'
+        )
+    );
+
     // Delete all instances of the 'vwg_video_seo_settings' custom field
     $wpdb->query(
         $wpdb->prepare(
@@ -67,6 +75,17 @@ if ($option['vwg_settings_remove_videos_data'] == 1) {
 if ($option['vwg_settings_remove_settings_data'] == 1) {
     delete_option( 'vwg_settings_group' );
     delete_option( 'vwg_uninstall_settings_group' );
+    delete_option( 'vwg_playback_limits_seeded' );
+    delete_option( 'vwg_lazy_load_seeded' );
+
+    // Delete the per-product display settings
+    global $wpdb;
+    $wpdb->query(
+        $wpdb->prepare(
+            "DELETE FROM $wpdb->postmeta WHERE meta_key = %s",
+            'vwg_display_settings'
+        )
+    );
 }
 delete_option( 'abl_vwg_version' );
 delete_option('vwg_monthly_notice_dismissed');
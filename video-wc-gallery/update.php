@@ -31,6 +31,31 @@ function vwg_update_to_new_version() {
         }
     }
 
+    // The playback limits are on by default, but installs from before they existed have no value for them.
+    // Runs once, and saving the settings page always stores them, so a value the admin chose is never overwritten.
+    if (!get_option('vwg_playback_limits_seeded')) {
+        $existing_settings = get_option('vwg_settings_group');
+        if (is_array($existing_settings)) {
+            foreach (array('vwg_settings_limit_reduced_motion', 'vwg_settings_limit_save_data', 'vwg_settings_limit_slow_connection') as $limit_setting) {
+                if (!isset($existing_settings[$limit_setting])) {
+                    $existing_settings[$limit_setting] = '1';
+                }
+            }
+            update_option('vwg_settings_group', $existing_settings);
+        }
+        update_option('vwg_playback_limits_seeded', 1);
+    }
+
+    // Lazy loading is on by default too; the same applies to installs from before it existed.
+    if (!get_option('vwg_lazy_load_seeded')) {
+        $existing_settings = get_option('vwg_settings_group');
+        if (is_array($existing_settings) && !isset($existing_settings['vwg_settings_lazy_load'])) {
+            $existing_settings['vwg_settings_lazy_load'] = '1';
+            update_option('vwg_settings_group', $existing_settings);
+        }
+        update_option('vwg_lazy_load_seeded', 1);
+    }
+
     if ($plugin_version === '1.24') {
         $existing_settings = get_option('vwg_settings_group', array());
         if (!isset($existing_settings['vwg_settings_video_adapt_sizes'])) {
@@ -84,6 +84,11 @@
     // Store a reference to the slider object
     $.data(el, "flexslider", slider);
 
+    /**
+     * Added ( VWG v2.6 ) - this fork triggers the vwg_flexslider_* events itself
+     */
+    slider.vwgEvents = true;
+
     // Private slider methods
     methods = {
       init: function() {
@@ -201,6 +206,10 @@
         // API: start() Callback
         setTimeout(function(){
           slider.vars.start(slider);
+          /**
+           * Added ( VWG v2.6 ) - lets the classic gallery controller react to slide changes
+           */
+          slider.trigger('vwg_flexslider_start', [slider]);
         }, 200);
       },
       asNav: {
@@ -755,6 +764,10 @@
       slider.currentSlide = slider.animatingTo;
       // API: after() animation Callback
       slider.vars.after(slider);
+      /**
+       * Added ( VWG v2.6 )
+       */
+      slider.trigger('vwg_flexslider_after', [slider]);
     };
 
     // SLIDESHOW:
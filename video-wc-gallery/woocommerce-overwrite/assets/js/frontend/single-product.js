@@ -259,7 +259,11 @@ jQuery( function( $ ) {
     };
 
     /**
-     * Get product gallery image items.
+     * Get product gallery image and video items.
+     *
+     * Video slides ( VWG ) become HTML items holding an empty .vwg-pswp-video
+     * element; vwg-gallery-classic.js moves the slide's player into it on
+     * vwg_photoswipe_open.
      */
     ProductGallery.prototype.getGalleryItems = function() {
         var $slides = this.$images,
@@ -269,7 +273,17 @@ jQuery( function( $ ) {
             $slides.each( function( i, el ) {
                 var img = $( el ).find( 'img' );
 
-                if ( img.length ) {
+                if ( $( el ).is( '[data-vwg-video]' ) ) {
+                    var html = document.createElement( 'div' );
+                    html.className = 'vwg-pswp-video';
+
+                    items.push( {
+                        html    : html,
+                        title   : $( el ).attr( 'data-thumb-alt' ),
+                        slide   : el,
+                        vwgVideo: $( el ).attr( 'data-vwg-video' )
+                    } );
+                } else if ( img.length ) {
                     var large_image_src = img.attr( 'data-large_image' ),
                         large_image_w   = img.attr( 'data-large_image_width' ),
                         large_image_h   = img.attr( 'data-large_image_height' ),
@@ -279,7 +293,8 @@ jQuery( function( $ ) {
                             src  : large_image_src,
                             w    : large_image_w,
                             h    : large_image_h,
-                            title: img.attr( 'data-caption' ) ? img.attr( 'data-caption' ) : img.attr( 'title' )
+                            title: img.attr( 'data-caption' ) ? img.attr( 'data-caption' ) : img.attr( 'title' ),
+                            slide: el
                         };
                     items.push( item );
                 }
@@ -298,10 +313,11 @@ jQuery( function( $ ) {
         var pswpElement = $( '.pswp' )[0],
             items       = this.getGalleryItems(),
             eventTarget = $( e.target ),
+            index       = 0,
             clicked;
 
         /**
-         * Added disabled openPhotoswipe - if theme not support ( VWG v1.15 )
+         * Clicks on a video's own player play it instead of opening the lightbox ( VWG v1.15 )
          */
         if ( 0 < eventTarget.closest( '.woocommerce-product-gallery__vwg_video' ).length ) {
             return false;
@@ -313,8 +329,16 @@ jQuery( function( $ ) {
             clicked = eventTarget.closest( '.woocommerce-product-gallery__image' );
         }
 
+        // Slides without an image or a video have no item, so look the slide up instead of using its position.
+        $.each( items, function( i, item ) {
+            if ( item.slide === $( clicked )[0] ) {
+                index = i;
+                return false;
+            }
+        } );
+
         var options = $.extend( {
-            index: $( clicked ).index(),
+            index: index,
             addCaptionHTMLFn: function( item, captionEl ) {
                 if ( ! item.title ) {
                     captionEl.children[0].textContent = '';
@@ -328,6 +352,9 @@ jQuery( function( $ ) {
         // Initializes and opens PhotoSwipe.
         var photoswipe = new PhotoSwipe( pswpElement, PhotoSwipeUI_Default, items, options );
         photoswipe.init();
+
+        // Lets VWG put the video players into their items ( VWG ).
+        this.$target.trigger( 'vwg_photoswipe_open', [ photoswipe ] );
     };
 
     /**
@@ -7,7 +7,7 @@ $post_thumbnail = has_post_thumbnail();
 $thumb_count    = count( $attachment_ids );
 
 $post_video_thumbnail = 0;
-$option = get_option('vwg_settings_group');
+$option = vwg_get_settings($product->get_id());
 
 // Get video URLs
 $video_url = get_post_meta( $product->get_id(), 'vwg_video_url', true );
@@ -93,6 +93,7 @@ if ( $attachment_ids || $has_videos ) {
                 $countVideo = 0;
                 foreach ($video_urls as $video) {
                     $countVideo++;
+                    $video = vwg_video_with_poster_fallback($video, $product);
                     $attachment_ids[] = array(
                         'video_thumb_url' => isset($video['video_thumb_url']) ? esc_url($video['video_thumb_url']) : '',
                         'woocommerce_thumbnail_url' => isset($video['woocommerce_thumbnail_url']) ? esc_url($video['woocommerce_thumbnail_url']) : esc_url($video['video_thumb_url']),
@@ -199,6 +200,7 @@ if ( $attachment_ids || $has_videos ) {
                 $countVideo = 0;
                 foreach ($video_urls as $video) {
                     $countVideo++;
+                    $video = vwg_video_with_poster_fallback($video, $product);
                     $attachment_ids[] = array(
                         'video_thumb_url' => isset($video['video_thumb_url']) ? esc_url($video['video_thumb_url']) : '',
                         'woocommerce_thumbnail_url' => isset($video['woocommerce_thumbnail_url']) ? esc_url($video['woocommerce_thumbnail_url']) : esc_url($video['video_thumb_url']),